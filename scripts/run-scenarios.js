@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Headless shot scenario runner
+ * @description Replays a JSON list of shots through the simulation core and
+ * reports make/miss, rim and backboard contacts and where each ball ended up.
+ *
+ * Usage: node scripts/run-scenarios.js <scenarios.json> [--json]
+ *
+ * Each scenario is { "name", "position": { "x", "z" }, "power", "backspin"?, "heading"?,
+ * "releaseAngle"?, "drive"?, "defender"?, "expect"?, "expectThree"?, "expectFinish"?,
+ * "expectContested"?, "expectBlock"? }, with backspin in rad/s and heading/releaseAngle
+ * in degrees. Omitted values fall back to the simulation defaults (aim straight at the nearest hoop).
+ * A "drive": { "x", "z" } shoots while moving that way, which near the rim makes the shot a
+ * layup or dunk; a "defender": { "x", "z", "jumpSpeed"? } stands there and jumps at the release.
+ * When "expect" is "make" or "miss", a mismatch fails the run (exit code 1); so does a
+ * three-point call that differs from a boolean "expectThree", a finish ("layup", "dunk" or
+ * "none") other than "expectFinish", or a contest or block that differs from the boolean
+ * "expectContested" or "expectBlock".
+ */
+
+import {readFileSync} from 'fs';
+import {
+    createWorld, createBallState, simulateShot, simulateFinish, chooseFinish,
+    createDefender, jumpDefender, contestFactor
+} from '../src/simulation.js';
+
+function shotOptionsFor(scenario) {
+    const options = {};
+    if (scenario.backspin !== undefined) options.backspin = scenario.backspin;
+    if (scenario.heading !== undefined) options.heading = scenario.heading * Math.PI / 180;
+    if (scenario.releaseAngle !== undefined) options.releaseAngle = scenario.releaseAngle;
+    return options;
+}
+
+function defenderFor(scenario) {
+    if (!scenario.defender) return null;
+    const defender = createDefender(scenario.defender.x, scenario.defender.z);
+    if (scenario.defender.jumpSpeed) jumpDefender(defender, scenario.defender.jumpSpeed);
+    return defender;
+}
+
+function shoot(scenario) {
+    const origin = createBallState(scenario.position.x, scenario.position.z).ballPosition;
+    const defender = defenderFor(scenario);
+    const contest = defender ? contestFactor(defender, origin) : 0;
+    const finish = scenario.drive ? chooseFinish(world, origin, scenario.drive) : null;
+
+    const outcome = finish ?
+        simulateFinish(world, origin, finish, { power: scenario.power, ...shotOptionsFor(scenario) }, { defender }) :
+        simulateShot(world, origin, scenario.power, shotOptionsFor(scenario), { defender });
+    return { ...outcome, finish: finish ? finish.type : 'none', contest };
+}
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const asJson = args.includes('--json');
+
+if (!file) {
+    console.error('Usage: node scripts/run-scenarios.js <scenarios.json> [--json]');
+    process.exit(2);
+}
+
+const scenarios = JSON.parse(readFileSync(file, 'utf8'));
+const world = createWorld();
+
+const results = scenarios.map((scenario, index) => {
+    const outcome = shoot(scenario);
+    const result = outcome.made ? 'make' : 'miss';
+
+    return {
+        name: scenario.name || `shot ${index + 1}`,
+        position: scenario.position,
+        power: scenario.power,
+        releaseAngle: outcome.shot.releaseAngle === undefined ? null : Number(outcome.shot.releaseAngle.toFixed(1)),
+        result,
+        expected: scenario.expect,
+        passed: (!scenario.expect || scenario.expect === result) &&
+            (scenario.expectThree === undefined || scenario.expectThree === outcome.shot.isThreePointer) &&
+            (!scenario.expectFinish || scenario.expectFinish === outcome.finish) &&
+            (scenario.expectContested === undefined || scenario.expectContested === outcome.contest > 0) &&
+            (scenario.expectBlock === undefined || scenario.expectBlock === outcome.blocked),
+        threePointer: outcome.shot.isThreePointer,
+        finish: outcome.finish,
+        contest: Number(outcome.contest.toFixed(2)),
+        blocked: outcome.blocked,
+        idealPower: Number(outcome.shot.idealPower.toFixed(3)),
+        rimHits: outcome.rimHits,
+        backboardHits: outcome.backboardHits,
+        elapsed: Number(outcome.elapsed.toFixed(3)),
+        finalPosition: {
+            x: Number(outcome.finalPosition.x.toFixed(3)),
+            y: Number(outcome.finalPosition.y.toFixed(3)),
+            z: Number(outcome.finalPosition.z.toFixed(3))
+        }
+    };
+});
+
+if (asJson) {
+    console.log(JSON.stringify(results, null, 2));
+} else {
+    results.forEach(r => {
+        const status = r.passed ? (r.expected ? 'ok  ' : '    ') : 'FAIL';
+        const type = r.finish !== 'none' ? r.finish.toUpperCase() : (r.threePointer ? '3PT' : '2PT');
+        const end = `(${r.finalPosition.x}, ${r.finalPosition.z})`;
+        const defense = (r.contest > 0 ? `  contest ${r.contest}` : '') + (r.blocked ? '  BLOCKED' : '');
+        console.log(`${status} ${r.name.padEnd(28)} ${type} power ${r.power.toFixed(2)} ` +
+            `(ideal ${r.idealPower.toFixed(2)})  ${r.result.toUpperCase().padEnd(4)}  ` +
+            `rim ${r.rimHits}  board ${r.backboardHits}  rest ${end} after ${r.elapsed}s${defense}`);
+    });
+
+    const made = results.filter(r => r.result === 'make').length;
+    console.log(`\n${made}/${results.length} made`);
+}
+
+const failures = results.filter(r => !r.passed);
+if (failures.length > 0) {
+    if (!asJson) console.error(`${failures.length} scenario(s) did not match their expected result`);
+    process.exit(1);
+}
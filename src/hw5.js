@@ -6,50 +6,123 @@
  *
  * SUPER FEATURES:
  * 🌙 Day/Night Cycle System - 4 dynamic time periods with smooth transitions
- * 🎯 Smart Shot Predictor - Real-time arc visualization with accuracy feedback
+ * 🎯 Smart Shot Predictor - Simulated arc through rim and backboard contact with a make/miss verdict
  * ✨ Advanced Particle Effects - Score explosions, rim sparks, ball trails
  * 🏀 Realistic Ball Physics - Slower, skill-based shooting mechanics
  */
 
 import {OrbitControls} from './OrbitControls.js'
+import {
+    COURT_LENGTH, COURT_WIDTH, COURT_FLOOR_Y, LINES_Y_OFFSET,
+    RIM_Y, RIM_RADIUS, RIM_TUBE_RADIUS, BACKBOARD_WIDTH, BACKBOARD_HEIGHT, BACKBOARD_THICKNESS, POLE_RADIUS,
+    HOOP_LAYOUT, BALL_RADIUS, BALL_REST_Y, GRAVITY, MIN_SHOT_POWER, MAX_SHOT_POWER, DEFAULT_BACKSPIN,
+    DEFAULT_RELEASE_ANGLE, MIN_RELEASE_ANGLE, MAX_RELEASE_ANGLE, PHYSICS_TIMESTEP,
+    createWorld, computeShot, launchBall, stepBall, simulateShot, estimateMakeProbability, findNearestHoopIndex,
+    classifyShotZone, classifyShotEnding, createDefender, jumpDefender, stepDefender, collideDefender, contestFactor,
+    DEFENDER_RADIUS, DEFENDER_REACH, BOUNCE_DAMPING, chooseFinish, computeLayup, computeDunk, slamDunk, simulateFinish, FINISH_IDEAL_POWER, THREE_POINT_ARC_RADIUS, THREE_POINT_CORNER_Z, LANE_WIDTH, LANE_LENGTH, FREE_THROW_LINE_X, headingToHoop, findAimedHoopIndex
+} from './simulation.js'
 
 // =============================================================================
 // ENHANCED CONSTANTS & CONFIGURATION
 // =============================================================================
 
-// Court dimensions
-const COURT_LENGTH = 28;
-const COURT_WIDTH = 15;
-const COURT_FLOOR_Y = 0;
+// Court, hoop, ball and physics constants are shared with the headless
+// simulation core in simulation.js
 const LINE_THICKNESS = 0.05;
-const LINES_Y_OFFSET = 0.01;
-
-// Basketball hoop specifications
-const RIM_Y = 3.05;
-const RIM_RADIUS = 0.225;
-const BACKBOARD_WIDTH = 1.8;
-const BACKBOARD_HEIGHT = 1.05;
-const BACKBOARD_DIST_FROM_BASELINE = 1.2;
-const POLE_RADIUS = 0.15;
-
-// Basketball specifications
-const BALL_RADIUS = 0.1213;
-
-// Enhanced physics constants
-const GRAVITY = -9.8;
-const BALL_MOVEMENT_SPEED = 0.08; // Slower, more controlled movement
-const MIN_SHOT_POWER = 0.1;
-const MAX_SHOT_POWER = 1.0;
-const POWER_STEP = 0.0008; // Slower power adjustment
-const BOUNCE_DAMPING = 0.7;
-const ROTATION_SCALE = 6.0; // Reduced rotation speed
-const BACKBOARD_DAMP_FACTOR = 0.6;
+
+// Enhanced input constants
+const BALL_MOVEMENT_SPEED = 4.8; // Court units per second, slower and more controlled
+const POWER_STEP = 0.048; // Power change per second, slower power adjustment
+
+const AIM_TURN_SPEED = 0.8; // Heading change in radians per second (A/D)
+const RELEASE_ANGLE_STEP = 20; // Release angle change in degrees per second (Q/E)
+
+// Dribbling and live-ball rebounds
+const DRIBBLE_HEIGHT = 0.8; // Top of the bounce above the ball's floor position
+const DRIBBLE_RATE = 2.2; // Bounces per second
+const CATCHABLE_SPEED = 4.0; // A loose ball slower than this can be picked up
+const PICKUP_REACH = 1.0; // Horizontal reach from the rebounder to the ball
+const PICKUP_HEIGHT = 2.4; // Highest point of the ball the rebounder can grab
+
+// Layups and dunks: net shake relative to a jumper, and the rim bending down and springing back
+const FINISH_NET_INTENSITY = { layup: 1.3, dunk: 2.0 };
+const RIM_FLEX_ANGLE = 0.14; // Radians the front of the rim drops under a dunk
+const RIM_FLEX_DAMPING = 4.0; // Per second
+const RIM_FLEX_FREQUENCY = 18.0; // Radians per second
+const RIM_FLEX_DURATION = 1.2;
+
+// Gamepads (standard mapping): buttons trigger the same actions as the keyboard
+const GAMEPAD_DEADZONE = 0.2; // Default radial stick deadzone; travel beyond it is rescaled to 0-1
+const GAMEPAD_TRIGGER_DEADZONE = 0.05;
+const GAMEPAD_BUTTON_ACTIONS = {
+    0: 'shoot', // A (hold for the meter)
+    1: 'reset', // B
+    2: 'grab', // X
+    3: 'predictor', // Y
+    4: 'backspin', // LB
+    5: 'camera', // RB
+    8: 'time', // View/Back
+    9: 'pause', // Start
+    12: 'arcUp', // D-pad up
+    13: 'arcDown' // D-pad down
+};
+
+// Touch screens: a virtual joystick moves the ball, a drag back from the ball aims and shoots
+const TOUCH_JOYSTICK_RADIUS = 50; // Pixels the knob can travel from the joystick center
+const TOUCH_GRAB_RADIUS = 70; // Pixels around the ball where a touch starts a flick instead of orbiting
+const TOUCH_MIN_FLICK = 24; // Pixels; shorter drags are cancelled
+const TOUCH_FULL_POWER_DRAG = 0.4; // Share of the shorter screen side that gives full power
+const TOUCH_BUTTONS = [
+    { action: 'reset', label: '🔄', title: 'Reset ball' },
+    { action: 'grab', label: '✋', title: 'Grab loose ball' },
+    { action: 'camera', label: '📷', title: 'Next camera view' },
+    { action: 'modeMenu', label: '🏆', title: 'Game mode menu' },
+    { action: 'pause', label: '⏸️', title: 'Pause and settings' }
+];
+
+// Timing shot meter (hold and release SPACE)
+const METER_CYCLE_TIME = 1.2; // Seconds for the meter to fill and drain once
+const GREEN_WINDOW = 0.025; // Half-width of the perfect-release window around the ideal power
+const RELEASE_GRADES = [
+    { name: 'PERFECT', maxMiss: GREEN_WINDOW, powerErrorScale: 0.0 },
+    { name: 'GOOD', maxMiss: GREEN_WINDOW * 2.5, powerErrorScale: 0.5 }
+];
+
+// Backspin presets cycled with B (rad/s)
+const BACKSPIN_LEVELS = [
+    { name: 'NONE', value: 0 },
+    { name: 'NORMAL', value: DEFAULT_BACKSPIN },
+    { name: 'HEAVY', value: DEFAULT_BACKSPIN * 2.5 }
+];
+
+const MAX_PHYSICS_SUBSTEPS = 24; // Drop simulation time beyond 0.1s per frame (tab hiccups)
 
 // Particle settings
 const MAX_QUALITY_PARTICLES = 500;
 
+// Shadow map resolution of the sun light (pixels per side)
+const SHADOW_MAP_SIZE = 2048;
+
+// Replay configuration
+const REPLAY_SAMPLE_RATE = 60; // Recorded frames per second
+const REPLAY_BUFFER_SECONDS = 12;
+const REPLAY_SPEEDS = [0.25, 0.5, 1.0];
+const INSTANT_REPLAY_DELAY = 1.2; // Seconds after a make before the replay rolls
+const REPLAY_SCRUB_STEP = 0.1; // Seconds moved per arrow press while scrubbing
+
 // Camera configuration
 const CAMERA_INITIAL_POS = new THREE.Vector3(0, 15, 25);
+const CAMERA_STORAGE_KEY = 'superArena.cameraPreset';
+const CAMERA_CUT_TIME = 0.8; // Seconds for an eased cut between presets
+const CAMERA_FOLLOW_RATE = 5.0; // How quickly a preset camera catches up with its subject (per second)
+const CAMERA_CHASE_RATE = 10.0;
+const CAMERA_PRESETS = [
+    { id: 'free', label: 'FREE ORBIT' },
+    { id: 'shooter', label: 'SHOOTER VIEW' },
+    { id: 'follow', label: 'BALL CAM' },
+    { id: 'broadcast', label: 'BROADCAST' },
+    { id: 'baseline', label: 'BASELINE' }
+];
 
 // =============================================================================
 // DAY/NIGHT CYCLE SYSTEM
@@ -81,8 +154,8 @@ class DayNightCycle {
         this.directionalLight = new THREE.DirectionalLight(0xffffff, 1.2);
         this.directionalLight.position.set(10, 20, 15);
         this.directionalLight.castShadow = true;
-        this.directionalLight.shadow.mapSize.width = 2048;
-        this.directionalLight.shadow.mapSize.height = 2048;
+        this.directionalLight.shadow.mapSize.width = SHADOW_MAP_SIZE;
+        this.directionalLight.shadow.mapSize.height = SHADOW_MAP_SIZE;
         this.directionalLight.shadow.camera.near = 1;
         this.directionalLight.shadow.camera.far = 100;
         this.directionalLight.shadow.camera.left = -30;
@@ -107,6 +180,17 @@ class DayNightCycle {
         });
     }
 
+    setShadowMapSize(size) {
+        const shadow = this.directionalLight.shadow;
+        shadow.mapSize.set(size, size);
+
+        // The renderer only builds a shadow map once; dropping it makes it rebuild at the new size
+        if (shadow.map) {
+            shadow.map.dispose();
+            shadow.map = null;
+        }
+    }
+
     update(deltaTime) {
         this.timeOfDay += this.cycleSpeed * deltaTime;
         if (this.timeOfDay > 1) this.timeOfDay = 0;
@@ -202,8 +286,10 @@ class ShotPredictor {
         this.enabled = false;
         this.arcPoints = [];
         this.arcLine = null;
-        this.predictionAccuracy = 'unknown';
-        this.targetPosition = new THREE.Vector3();
+        this.contactMarker = null;
+        this.contested = false;
+        this.prediction = null;
+        this.inputKey = '';
 
         this.setupVisuals();
     }
@@ -221,11 +307,19 @@ class ShotPredictor {
         this.arcLine = new THREE.Line(arcGeometry, arcMaterial);
         this.arcLine.visible = false;
         scene.add(this.arcLine);
+
+        // Marker for the first rim or backboard contact along the arc
+        const markerGeometry = new THREE.SphereGeometry(0.08, 12, 12);
+        const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 });
+        this.contactMarker = new THREE.Mesh(markerGeometry, markerMaterial);
+        this.contactMarker.visible = false;
+        scene.add(this.contactMarker);
     }
 
     toggle() {
         this.enabled = !this.enabled;
         this.arcLine.visible = this.enabled;
+        this.inputKey = '';
 
         const status = this.enabled ? 'Shot predictor ENABLED 🎯' : 'Shot predictor DISABLED';
         ui.updateGameStatus(status);
@@ -234,6 +328,8 @@ class ShotPredictor {
     update() {
         if (!this.enabled || gameState.isShooting) {
             this.arcLine.visible = false;
+            this.contactMarker.visible = false;
+            ui.updatePrediction(null);
             return;
         }
 
@@ -243,99 +339,191 @@ class ShotPredictor {
     }
 
     calculateTrajectory() {
-        // Find nearest hoop
-        const rightHoopPos = new THREE.Vector3();
-        const leftHoopPos = new THREE.Vector3();
+        // A defender's contest is random, so the arc is the clean look; the verdict says so when it matters
+        this.contested = defender.wouldContest(gameState.ballPosition);
+
+        // Releasing the meter now would grade the shot, and the grade scales the power error
+        const grade = shotMeter.charging ? shotMeter.gradeFor(gameState.shotPower) : undefined;
+        const powerErrorScale = grade ? grade.powerErrorScale : 1.0;
+
+        // Only re-run the simulation when something that changes the shot has changed
+        const finish = InputSystem.pendingFinish();
+        const backspin = BACKSPIN_LEVELS[gameState.backspinLevel].value;
+        const inputKey = [
+            gameState.ballPosition.x, gameState.ballPosition.z, gameState.shotPower,
+            gameState.aimHeading, gameState.releaseAngle, backspin, powerErrorScale
+        ].map(value => value.toFixed(4)).concat(finish ? finish.type : '').join('|');
+        if (inputKey === this.inputKey) return;
+        this.inputKey = inputKey;
+
+        // Same shot and same physics steps as the real ball, traced until the first floor bounce
+        const runOptions = { maxTime: 6, pathInterval: 1 / 30, stopAtFloor: true };
+        this.prediction = finish ?
+            simulateFinish(world, gameState.ballPosition, finish, {
+                power: gameState.shotPower,
+                heading: gameState.aimHeading,
+                powerErrorScale
+            }, runOptions) :
+            simulateShot(world, gameState.ballPosition, gameState.shotPower, {
+                backspin,
+                heading: gameState.aimHeading,
+                releaseAngle: gameState.releaseAngle,
+                powerErrorScale
+            }, runOptions);
+
+        this.arcPoints = this.prediction.path.map(point => new THREE.Vector3(point.x, point.y, point.z));
+    }
 
-        if (rightHoop && rightHoop.userData.rimPosition) {
-            rightHoop.localToWorld(rightHoopPos.copy(rightHoop.userData.rimPosition));
-        }
-        if (leftHoop && leftHoop.userData.rimPosition) {
-            leftHoop.localToWorld(leftHoopPos.copy(leftHoop.userData.rimPosition));
+    getVerdict() {
+        const { made, firstContact } = this.prediction;
+        if (!made && !firstContact) return 'airball';
+        return classifyShotEnding(made, firstContact ? [firstContact.type] : []);
+    }
+
+    updateVisuals() {
+        if (this.arcPoints.length === 0) return;
+
+        // Update arc line geometry
+        const positions = new Float32Array(this.arcPoints.length * 3);
+        for (let i = 0; i < this.arcPoints.length; i++) {
+            positions[i * 3] = this.arcPoints[i].x;
+            positions[i * 3 + 1] = this.arcPoints[i].y;
+            positions[i * 3 + 2] = this.arcPoints[i].z;
         }
 
-        const distToRight = gameState.ballPosition.distanceTo(rightHoopPos);
-        const distToLeft = gameState.ballPosition.distanceTo(leftHoopPos);
-        this.targetPosition = distToRight < distToLeft ? rightHoopPos : leftHoopPos;
+        this.arcLine.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
-        // Calculate trajectory based on current power
-        const toHoop = this.targetPosition.clone().sub(gameState.ballPosition);
-        const horizontalDistance = Math.sqrt(toHoop.x * toHoop.x + toHoop.z * toHoop.z);
-        const verticalDistance = toHoop.y;
+        const firstContact = this.prediction.firstContact;
+        this.contactMarker.visible = !!firstContact;
+        if (firstContact) {
+            this.contactMarker.position.set(firstContact.position.x, firstContact.position.y, firstContact.position.z);
+        }
 
-        const TIME_TO_RIM = 1.4;
-        const perfect_vy = (verticalDistance - 0.5 * GRAVITY * TIME_TO_RIM * TIME_TO_RIM) / TIME_TO_RIM;
-        const perfect_vx = toHoop.x / TIME_TO_RIM;
-        const perfect_vz = toHoop.z / TIME_TO_RIM;
+        // Color code based on the simulated outcome
+        const verdict = this.getVerdict();
+        let color;
+        switch (verdict) {
+            case 'swish': color = 0x00ff00; break;   // Green
+            case 'bank':
+            case 'rim-in': color = 0x80ff00; break;  // Light green
+            case 'miss': color = 0xffff00; break;    // Yellow
+            case 'airball': color = 0xff4400; break; // Red
+            default: color = 0xffffff; break;        // White
+        }
 
-        // Apply current power to prediction
-        const MAX_SHOOTING_DISTANCE = 25.0;
-        const distanceRatio = Math.min(1.0, horizontalDistance / MAX_SHOOTING_DISTANCE);
-        const idealPower = MIN_SHOT_POWER + distanceRatio * (MAX_SHOT_POWER - MIN_SHOT_POWER);
-        const powerDifference = gameState.shotPower - idealPower;
-        const errorFactor = 1.0 + (powerDifference * 0.5);
+        this.arcLine.material.color.setHex(color);
+        this.contactMarker.material.color.setHex(color);
+        ui.updatePrediction(verdict, this.contested);
+    }
+}
 
-        const velocity = new THREE.Vector3(perfect_vx, perfect_vy, perfect_vz).multiplyScalar(errorFactor);
+// =============================================================================
+// SHOT HEAT MAP OVERLAY
+// =============================================================================
 
-        // Generate arc points
-        this.arcPoints = [];
-        const steps = 30;
+class HeatOverlay {
+    constructor() {
+        this.mode = 'off'; // 'off', 'probability' (make chance at current power) or 'idealPower'
+        this.cellSize = 1.0;
+        this.columns = Math.round(COURT_LENGTH / this.cellSize);
+        this.rows = Math.round(COURT_WIDTH / this.cellSize);
+        this.frameBudgetMs = 4; // Simulation time spent per frame; the map fills in progressively
+        this.inputKey = '';
+        this.nextCell = 0;
 
-        for (let i = 0; i <= steps; i++) {
-            const t = (i / steps) * TIME_TO_RIM * errorFactor;
-            const pos = gameState.ballPosition.clone();
+        this.setupVisuals();
+    }
 
-            pos.x += velocity.x * t;
-            pos.y += velocity.y * t + 0.5 * GRAVITY * t * t;
-            pos.z += velocity.z * t;
+    setupVisuals() {
+        // One canvas pixel per grid cell, smoothed by linear filtering
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.columns;
+        this.canvas.height = this.rows;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.generateMipmaps = false;
+
+        const overlayGeometry = new THREE.PlaneGeometry(COURT_LENGTH, COURT_WIDTH);
+        const overlayMaterial = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            depthWrite: false
+        });
 
-            this.arcPoints.push(pos);
+        this.mesh = new THREE.Mesh(overlayGeometry, overlayMaterial);
+        this.mesh.rotation.x = -Math.PI / 2;
+        this.mesh.position.y = COURT_FLOOR_Y + LINES_Y_OFFSET * 2;
+        this.mesh.visible = false;
+        scene.add(this.mesh);
+    }
 
-            // Stop if we hit the ground
-            if (pos.y <= COURT_FLOOR_Y + BALL_RADIUS) break;
-        }
+    cycleMode() {
+        const modes = ['off', 'probability', 'idealPower'];
+        this.mode = modes[(modes.indexOf(this.mode) + 1) % modes.length];
+        this.mesh.visible = this.mode !== 'off';
+        this.inputKey = '';
 
-        // Determine accuracy
-        if (this.arcPoints.length > 0) {
-            const endPoint = this.arcPoints[this.arcPoints.length - 1];
-            const distanceToTarget = endPoint.distanceTo(this.targetPosition);
+        const messages = {
+            off: 'Heat map DISABLED',
+            probability: '🔥 Heat map: make chance at current power (red → green)',
+            idealPower: '🌈 Heat map: ideal power per spot (blue = soft, red = hard)'
+        };
+        ui.updateGameStatus(messages[this.mode]);
+    }
 
-            if (distanceToTarget < RIM_RADIUS * 0.8) {
-                this.predictionAccuracy = 'excellent';
-            } else if (distanceToTarget < RIM_RADIUS * 1.5) {
-                this.predictionAccuracy = 'good';
-            } else if (distanceToTarget < RIM_RADIUS * 3) {
-                this.predictionAccuracy = 'fair';
-            } else {
-                this.predictionAccuracy = 'poor';
-            }
+    update() {
+        if (this.mode === 'off') return;
+
+        // Recompute whenever the power, target hoop or shot shape changes
+        const targetHoopIndex = findAimedHoopIndex(world, gameState.ballPosition, gameState.aimHeading);
+        const backspin = BACKSPIN_LEVELS[gameState.backspinLevel].value;
+        const inputKey = [this.mode, targetHoopIndex, gameState.shotPower.toFixed(3), gameState.releaseAngle.toFixed(1), backspin].join('|');
+        if (inputKey !== this.inputKey) {
+            this.inputKey = inputKey;
+            this.targetHoopIndex = targetHoopIndex;
+            this.shotOptions = { backspin, releaseAngle: gameState.releaseAngle };
+            this.nextCell = 0;
         }
-    }
 
-    updateVisuals() {
-        if (this.arcPoints.length === 0) return;
+        const cellCount = this.columns * this.rows;
+        if (this.nextCell >= cellCount) return;
 
-        // Update arc line geometry
-        const positions = new Float32Array(this.arcPoints.length * 3);
-        for (let i = 0; i < this.arcPoints.length; i++) {
-            positions[i * 3] = this.arcPoints[i].x;
-            positions[i * 3 + 1] = this.arcPoints[i].y;
-            positions[i * 3 + 2] = this.arcPoints[i].z;
+        const start = performance.now();
+        while (this.nextCell < cellCount && performance.now() - start < this.frameBudgetMs) {
+            this.paintCell(this.nextCell % this.columns, Math.floor(this.nextCell / this.columns));
+            this.nextCell++;
         }
 
-        this.arcLine.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.texture.needsUpdate = true;
+    }
 
-        // Color code based on accuracy
-        let color;
-        switch (this.predictionAccuracy) {
-            case 'excellent': color = 0x00ff00; break; // Green
-            case 'good': color = 0x80ff00; break;      // Light green
-            case 'fair': color = 0xffff00; break;      // Yellow
-            case 'poor': color = 0xff4400; break;      // Red
-            default: color = 0xffffff; break;          // White
+    paintCell(column, row) {
+        // Canvas rows run from -Z to +Z once the plane is laid flat
+        const origin = {
+            x: -COURT_LENGTH / 2 + (column + 0.5) * this.cellSize,
+            z: -COURT_WIDTH / 2 + (row + 0.5) * this.cellSize
+        };
+        const shotOptions = { ...this.shotOptions, heading: headingToHoop(world, origin, this.targetHoopIndex) };
+
+        const color = new THREE.Color();
+        let alpha;
+        if (this.mode === 'probability') {
+            const probability = estimateMakeProbability(world, origin, gameState.shotPower, shotOptions);
+            color.setHSL(probability / 3, 1.0, 0.5);
+            alpha = 0.15 + probability * 0.45;
+        } else {
+            const shot = computeShot(world, { x: origin.x, y: BALL_REST_Y, z: origin.z }, gameState.shotPower, shotOptions);
+            const powerRatio = (shot.idealPower - MIN_SHOT_POWER) / (MAX_SHOT_POWER - MIN_SHOT_POWER);
+            color.setHSL((1 - powerRatio) * 0.66, 1.0, 0.5);
+            alpha = 0.45;
         }
 
-        this.arcLine.material.color.setHex(color);
+        this.context.clearRect(column, row, 1, 1);
+        this.context.fillStyle = `rgba(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}, ${alpha})`;
+        this.context.fillRect(column, row, 1, 1);
     }
 }
 
@@ -348,6 +536,7 @@ class ParticleSystem {
         this.particles = [];
         this.particlePool = [];
         this.maxParticles = MAX_QUALITY_PARTICLES;
+        this.performanceLevel = 1.0; // Share of each effect's particles actually spawned
 
         this.setupParticleTypes();
     }
@@ -432,11 +621,11 @@ class ParticleSystem {
         this.particles.push(particle);
     }
 
-    createScoreExplosion(position, isThreePointer = false) {
+    createScoreExplosion(position, isThreePointer = false, colors = null) {
         const particleCount = isThreePointer ? 75 : 50;
-        const explosionColors = isThreePointer ?
+        const explosionColors = colors || (isThreePointer ?
             [0x00ff00, 0x00ff88, 0x88ff00, 0xffd700] :
-            [0xff6b35, 0xffd700, 0xff4500, 0xffaa00];
+            [0xff6b35, 0xffd700, 0xff4500, 0xffaa00]);
 
         for (let i = 0; i < particleCount * this.performanceLevel; i++) {
             const geometry = new THREE.SphereGeometry(0.04, 6, 6);
@@ -466,6 +655,44 @@ class ParticleSystem {
         }
     }
 
+    createFinishBurst(position, finishType) {
+        // Dunks blast outward from the rim; layups throw a softer spray up off the glass
+        const isDunk = finishType === 'dunk';
+        const particleCount = isDunk ? 60 : 35;
+        const burstColors = isDunk ?
+            [0xff4500, 0xffffff, 0xffd700, 0xff0000] :
+            [0x66ccff, 0xffffff, 0x99ffcc];
+
+        for (let i = 0; i < particleCount * this.performanceLevel; i++) {
+            const geometry = new THREE.SphereGeometry(isDunk ? 0.05 : 0.035, 6, 6);
+            const material = new THREE.MeshBasicMaterial({
+                color: burstColors[Math.floor(Math.random() * burstColors.length)],
+                transparent: true
+            });
+
+            const particle = new THREE.Mesh(geometry, material);
+            particle.position.copy(position);
+
+            const angle = Math.random() * Math.PI * 2;
+            const speed = isDunk ? 5 + Math.random() * 4 : 1 + Math.random() * 2;
+            const velocity = new THREE.Vector3(
+                Math.cos(angle) * speed,
+                isDunk ? Math.random() * 2 - 1 : Math.random() * 4 + 2,
+                Math.sin(angle) * speed
+            );
+
+            particle.userData = {
+                velocity: velocity,
+                life: isDunk ? 1.5 : 2.0,
+                maxLife: isDunk ? 1.5 : 2.0,
+                type: 'finishBurst'
+            };
+
+            scene.add(particle);
+            this.particles.push(particle);
+        }
+    }
+
     createBallTrail(position) {
         if (Math.random() > 0.3) return; // Only create trail sometimes for performance
 
@@ -502,7 +729,7 @@ class ParticleSystem {
             particle.material.opacity = alpha;
 
             // Scale down over time for some effects
-            if (data.type === 'scoreExplosion') {
+            if (data.type === 'scoreExplosion' || data.type === 'finishBurst') {
                 const scale = 0.5 + alpha * 0.5;
                 particle.scale.setScalar(scale);
             }
@@ -528,53 +755,47 @@ class ParticleSystem {
     }
 }
 
-// =============================================================================
-// 3-POINT SCORING SYSTEM
-// =============================================================================
-
-function isThreePointShot(shotPosition, targetHoopPos) {
-    const THREE_POINT_ARC_RADIUS = 6.75;
-    const COURT_WIDTH_HALF = COURT_WIDTH / 2;
-    const THREE_POINT_STRAIGHT_LINE_Y = COURT_WIDTH_HALF - 0.9;
-
-    const horizontalDistance = Math.sqrt(
-        Math.pow(shotPosition.x - targetHoopPos.x, 2) +
-        Math.pow(shotPosition.z - targetHoopPos.z, 2)
-    );
-
-    if (horizontalDistance >= THREE_POINT_ARC_RADIUS) {
-        if (Math.abs(shotPosition.z) <= THREE_POINT_STRAIGHT_LINE_Y) {
-            return true;
-        } else {
-            const distanceFromBaseline = Math.abs(shotPosition.x - targetHoopPos.x);
-            return distanceFromBaseline >= THREE_POINT_ARC_RADIUS;
-        }
-    }
-
-    return false;
-}
-
 // =============================================================================
 // ENHANCED GAME STATE
 // =============================================================================
 
 const gameState = {
     // Ball physics
-    ballPosition: new THREE.Vector3(0, COURT_FLOOR_Y + BALL_RADIUS + LINES_Y_OFFSET, 0),
+    ballPosition: new THREE.Vector3(0, BALL_REST_Y, 0),
     ballVelocity: new THREE.Vector3(0, 0, 0),
     ballRotation: new THREE.Vector3(0, 0, 0),
     ballAngularVelocity: new THREE.Vector3(0, 0, 0),
 
     // Input state
-    keys: {},
+    heldActions: {}, // Action id -> true while its key or pad button is down
     shotPower: 0.5,
+    backspinLevel: 1, // Index into BACKSPIN_LEVELS
+    releaseGrade: '', // Timing meter result for the current shot, empty in slider mode
+    aimHeading: 0, // Radians in the XZ plane, 0 = towards the right hoop (+X)
+    releaseAngle: DEFAULT_RELEASE_ANGLE, // Degrees above horizontal
     isMoving: false,
+    // Analog gamepad input, already past the deadzone: stick movement (-1..1 per axis), aim and power rates
+    padMove: new THREE.Vector2(0, 0),
+    padAim: 0,
+    padPower: 0,
+    touchMove: new THREE.Vector2(0, 0), // Virtual joystick, same range as padMove
+    moveDirection: new THREE.Vector3(0, 0, 0), // Last step taken while moving; decides layups and dunks
+    dribblePhase: 0, // 0-1 through one bounce while the ball is dribbled, 0 when held still
     isShooting: false,
+    basketScored: false,
+    deadBall: false,
+    lodgedTime: 0,
 
     // Scoring system
     score: 0,
     shotAttempts: 0,
     shotsMade: 0,
+    freeThrowsAttempted: 0, // Kept apart from field goals and across game modes
+    freeThrowsMade: 0,
+
+    // Local multiplayer: one profile per player sharing the keyboard, empty when playing solo
+    players: [],
+    currentPlayerIndex: 0,
 
     // Game status
     lastShotResult: '',
@@ -583,9 +804,20 @@ const gameState = {
     // 3-point tracking
     shotOrigin: new THREE.Vector3(0, 0, 0),
     isThreePointer: false,
+    finishType: '', // 'layup' or 'dunk' when the shot is a finish at the rim, else ''
+    slamTimer: 0, // Seconds until a dunk is thrown down
+    slamTarget: null, // Where the dunk is thrown: the rim, or off it by the release error
+
+    // Current shot details for the shot log
+    targetHoopIndex: 0,
+    shotContacts: [], // 'rim' / 'backboard' in the order the ball touched them
 
     // Enhanced features
-    lastBallPosition: new THREE.Vector3(0, 0, 0)
+    lastBallPosition: new THREE.Vector3(0, 0, 0),
+
+    // Ball state at the start of the current physics step, used for render interpolation
+    previousBallPosition: new THREE.Vector3(0, BALL_REST_Y, 0),
+    previousBallRotation: new THREE.Vector3(0, 0, 0)
 };
 
 // =============================================================================
@@ -651,6 +883,27 @@ const BACKBOARD_MATERIAL = new THREE.MeshStandardMaterial({
     metalness: 0.1
 });
 
+// Three-point contest money ball: same leather, red-white-blue tint and a faint glow
+const MONEY_BALL_MATERIAL = new THREE.MeshStandardMaterial({
+    map: BALL_MATERIAL.map,
+    bumpMap: BALL_MATERIAL.bumpMap,
+    bumpScale: 0.02,
+    color: 0xff5a8a,
+    emissive: 0x2040ff,
+    emissiveIntensity: 0.25,
+    roughness: 0.8
+});
+
+const DEFENDER_JERSEY_MATERIAL = new THREE.MeshStandardMaterial({
+    color: 0x1d4ed8,
+    roughness: 0.7
+});
+
+const DEFENDER_SKIN_MATERIAL = new THREE.MeshStandardMaterial({
+    color: 0x8d5524,
+    roughness: 0.6
+});
+
 const BALL_SEAM_MATERIAL = new THREE.MeshStandardMaterial({
     map: textureLoader.load('src/ball/bump.png'),
     color: 0x2a2a2a,
@@ -691,11 +944,31 @@ document.body.appendChild(renderer.domElement);
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.target.set(0, 0, 0);
 
+// Headless simulation world (hoop colliders and physics parameters)
+const world = createWorld();
+
 // Global system references
 let ballGroup;
+let aimArrow;
 let rightHoop, leftHoop;
 let dayNightCycle;
 let shotPredictor;
+let shotMeter;
+let heatOverlay;
+let shotLog;
+let replaySystem;
+let gameModes;
+let aiShooter;
+let defender;
+let reboundSystem;
+let swishTracker;
+let cameraDirector;
+let gamepadInput;
+let keyBindings;
+let touchInput;
+let gameSettings;
+let soundEffects;
+let pauseMenu;
 let particleSystem;
 let performanceManager;
 
@@ -705,6 +978,8 @@ let performanceManager;
 
 class GameUI {
     constructor() {
+        this.promptStyle = 'keyboard'; // 'keyboard', 'pad' or 'touch': which glyphs the prompts show
+        this.cameraLabel = '';
         this.setupStyles();
         this.createGameInterface();
     }
@@ -804,6 +1079,7 @@ class GameUI {
             }
 
             .power-bar {
+                position: relative;
                 width: 100%;
                 height: 20px;
                 background: rgba(255, 255, 255, 0.2);
@@ -819,6 +1095,33 @@ class GameUI {
                 transition: width 0.1s ease;
             }
 
+            .power-window {
+                position: absolute;
+                top: 0;
+                height: 100%;
+                background: rgba(0, 255, 0, 0.45);
+                border-left: 2px solid #00ff00;
+                border-right: 2px solid #00ff00;
+                display: none;
+            }
+
+            .power-meter-active .power-fill {
+                transition: none;
+                background: #ffffff;
+            }
+
+            .feedback-release {
+                font-size: 18px;
+                margin-top: 8px;
+                color: #ffd700;
+            }
+
+            .feedback-ending {
+                font-size: 22px;
+                margin-top: 8px;
+                color: #00e5ff;
+            }
+
             .feedback-panel {
                 top: 50%;
                 left: 50%;
@@ -856,1014 +1159,4731 @@ class GameUI {
                 50% { transform: translate(-50%, -50%) scale(1.05); }
             }
 
-            .game-status {
-                margin-top: 15px;
-                font-size: 14px;
-                color: #ccc;
-                text-align: center;
+            .shot-chart-panel {
+                top: 20px;
+                right: 20px;
+                display: none;
+                font-size: 13px;
             }
-        `;
-        document.head.appendChild(style);
-    }
 
-    createGameInterface() {
-        // Main scoreboard
-        this.scoreboard = document.createElement('div');
-        this.scoreboard.className = 'game-ui scoreboard';
-        this.scoreboard.innerHTML = `
-            <h2 style="margin: 0 0 10px 0; color: #ff6b35;">🏀 SUPER BASKETBALL ARENA</h2>
-            <div class="score-display" id="score-display">SCORE: 0</div>
-            <div class="stats-row">
-                <div class="stat-item">
-                    <strong>Attempts:</strong> <span id="attempts">0</span>
-                </div>
-                <div class="stat-item">
-                    <strong>Made:</strong> <span id="made">0</span>
-                </div>
-                <div class="stat-item">
-                    <strong>Accuracy:</strong> <span id="accuracy">0%</span>
-                </div>
-            </div>
-            <div class="game-status" id="game-status">🌟 SUPER ARENA: Enhanced with Day/Night, Replay, Particles & More! 🌟</div>
-        `;
-        document.body.appendChild(this.scoreboard);
+            .shot-chart-panel h3 {
+                margin: 0 0 10px 0;
+                color: #ff6b35;
+            }
 
-        // Enhanced controls panel
-        this.controlsPanel = document.createElement('div');
-        this.controlsPanel.className = 'game-ui controls-panel';
-        this.controlsPanel.innerHTML = `
-            <h3>🎮 SUPER CONTROLS</h3>
-            <div class="control-item">
-                <span class="control-key">←→↑↓</span>Move Basketball
-            </div>
-            <div class="control-item">
-                <span class="control-key">W/S</span>Adjust Shot Power
-            </div>
-            <div class="control-item">
-                <span class="control-key">SPACE</span>Shoot Basketball
-            </div>
-            <div class="control-item">
-                <span class="control-key">P</span>Toggle Shot Predictor
-            </div>
-            <div class="control-item">
-                <span class="control-key">T</span>Change Time of Day
-            </div>
-            <div class="control-item">
-                <span class="control-key">R</span>Reset Ball Position
-            </div>
-            <div class="control-item">
-                <span class="control-key">O</span>Toggle Camera Controls
-            </div>
-            <div class="control-item">
-                <span class="control-key">I</span>Animate Net
-            </div>
-            <div class="control-item">
-                <span class="control-key">F</span>Toggle Fullscreen
-            </div>
-        `;
-        document.body.appendChild(this.controlsPanel);
+            .shot-chart-panel canvas {
+                display: block;
+                border-radius: 6px;
+                background: rgba(139, 69, 19, 0.6);
+            }
 
-        // Power adjustment panel
-        this.powerPanel = document.createElement('div');
-        this.powerPanel.className = 'game-ui power-panel';
-        this.powerPanel.innerHTML = `
-            <div class="power-display" id="power-display">SHOT POWER: 50%</div>
-            <div class="power-bar">
-                <div class="power-fill" id="power-fill" style="width: 50%"></div>
-            </div>
-            <div style="text-align: center; margin-top: 10px; font-size: 12px; color: #ccc;">
-                Use W/S keys to adjust
-            </div>
-        `;
-        document.body.appendChild(this.powerPanel);
+            .zone-row {
+                display: flex;
+                justify-content: space-between;
+                margin: 4px 0;
+            }
 
-        // Shot feedback panel
-        this.feedbackPanel = document.createElement('div');
-        this.feedbackPanel.className = 'game-ui feedback-panel';
-        this.feedbackPanel.id = 'feedback-panel';
-        document.body.appendChild(this.feedbackPanel);
-    }
+            .shot-chart-panel button {
+                margin-top: 8px;
+                background: #ff6b35;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                padding: 4px 10px;
+                cursor: pointer;
+            }
 
-    updateScore(score, attempts, made) {
-        document.getElementById('score-display').textContent = `SCORE: ${score}`;
-        document.getElementById('attempts').textContent = attempts;
-        document.getElementById('made').textContent = made;
+            .replay-banner {
+                bottom: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                text-align: center;
+                font-size: 18px;
+                font-weight: bold;
+                padding: 12px 24px;
+                border-color: #ff0000;
+                display: none;
+            }
 
-        const accuracy = attempts > 0 ? Math.round((made / attempts) * 100) : 0;
-        document.getElementById('accuracy').textContent = `${accuracy}%`;
-    }
+            .replay-banner small {
+                display: block;
+                margin-top: 4px;
+                font-size: 12px;
+                font-weight: normal;
+                color: #ccc;
+            }
 
-    updatePower(power) {
-        const percentage = Math.round(power * 100);
-        document.getElementById('power-display').textContent = `SHOT POWER: ${percentage}%`;
-        document.getElementById('power-fill').style.width = `${percentage}%`;
-    }
+            .mode-display {
+                display: none;
+                font-size: 22px;
+                font-weight: bold;
+                color: #ffd700;
+                margin-bottom: 8px;
+            }
 
-    showShotFeedback(made) {
-        const panel = document.getElementById('feedback-panel');
-        panel.style.display = 'block';
+            .mode-display.mode-urgent {
+                color: #ff4444;
+            }
 
-        if (made) {
-            const shotType = gameState.isThreePointer ? '3-POINTER MADE! 🔥' : 'SHOT MADE! 🎉';
-            panel.textContent = shotType;
-            panel.className = 'game-ui feedback-panel feedback-made';
-        } else {
-            const missType = gameState.isThreePointer ? 'MISSED 3-POINTER 😔' : 'MISSED SHOT 😔';
-            panel.textContent = missType;
-            panel.className = 'game-ui feedback-panel feedback-missed';
-        }
+            .camera-display {
+                font-size: 12px;
+                color: #87ceeb;
+                margin-top: 8px;
+            }
 
-        setTimeout(() => {
-            panel.style.display = 'none';
-        }, 2000);
-    }
+            .mode-overlay {
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                text-align: center;
+                min-width: 360px;
+                z-index: 1100;
+                display: none;
+            }
 
-    updateGameStatus(status) {
-        document.getElementById('game-status').textContent = status;
-    }
-}
+            .mode-overlay h2 {
+                margin: 0 0 15px 0;
+                color: #ff6b35;
+            }
 
-// =============================================================================
-// NET ANIMATION SYSTEM
-// =============================================================================
+            .mode-option {
+                display: block;
+                width: 100%;
+                margin: 10px 0;
+                padding: 12px;
+                background: rgba(255, 107, 53, 0.2);
+                border: 1px solid rgba(255, 107, 53, 0.6);
+                border-radius: 8px;
+                color: white;
+                font-size: 16px;
+                cursor: pointer;
+                text-align: left;
+            }
 
-function updateNetAnimation(deltaTime) {
+            .mode-option:hover,
+            .mode-option.pad-focus {
+                background: rgba(255, 107, 53, 0.45);
+            }
+
+            .mode-option small {
+                display: block;
+                margin-top: 4px;
+                color: #ccc;
+                font-size: 12px;
+            }
+
+            .player-columns {
+                display: flex;
+                gap: 8px;
+                margin: 8px 0;
+            }
+
+            .player-column {
+                flex: 1;
+                padding: 6px;
+                border: 2px solid;
+                border-radius: 8px;
+                opacity: 0.6;
+                font-size: 13px;
+            }
+
+            .player-column.player-active {
+                opacity: 1;
+                box-shadow: 0 0 12px rgba(255, 255, 255, 0.4);
+            }
+
+            .player-line {
+                font-size: 18px;
+                font-weight: bold;
+                margin: 4px 0;
+            }
+
+            .results-row {
+                display: flex;
+                justify-content: space-between;
+                margin: 8px 0;
+                font-size: 16px;
+            }
+
+            .game-status {
+                margin-top: 15px;
+                font-size: 14px;
+                color: #ccc;
+                text-align: center;
+            }
+
+            .controls-panel button {
+                margin-top: 8px;
+                width: 100%;
+                background: #ff6b35;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                padding: 6px 10px;
+                font-weight: bold;
+                cursor: pointer;
+            }
+
+            .key-bindings-panel {
+                max-height: 85vh;
+                overflow-y: auto;
+            }
+
+            .binding-status {
+                font-size: 13px;
+                color: #ccc;
+                margin-bottom: 10px;
+            }
+
+            .binding-row {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 16px;
+                margin: 4px 0;
+                padding: 2px 6px;
+                font-size: 14px;
+                text-align: left;
+            }
+
+            .binding-row.binding-conflict {
+                background: rgba(255, 215, 0, 0.2);
+                border-radius: 4px;
+            }
+
+            .binding-key {
+                min-width: 90px;
+                background: #ff6b35;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                padding: 4px 8px;
+                font-weight: bold;
+                cursor: pointer;
+            }
+
+            .binding-key.binding-listening {
+                background: #ffd700;
+                color: #1a1a2e;
+            }
+
+            .settings-tabs {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 12px;
+            }
+
+            .settings-tabs button {
+                flex: 1;
+                background: rgba(255, 255, 255, 0.1);
+                color: white;
+                border: 1px solid rgba(255, 107, 53, 0.4);
+                border-radius: 6px;
+                padding: 6px;
+                cursor: pointer;
+            }
+
+            .settings-tabs button.settings-tab-active {
+                background: rgba(255, 107, 53, 0.6);
+            }
+
+            .setting-row {
+                display: grid;
+                grid-template-columns: 1fr 140px 80px;
+                align-items: center;
+                gap: 10px;
+                margin: 8px 0;
+                font-size: 14px;
+                text-align: left;
+            }
+
+            .setting-value {
+                text-align: right;
+                color: #ffd700;
+            }
+
+            .panel-header {
+                cursor: pointer;
+                user-select: none;
+            }
+
+            .game-ui.collapsed > :not(.panel-header):not(.panel-keep) {
+                display: none;
+            }
+
+            .game-ui.collapsed .panel-header::after {
+                content: ' ▸';
+                font-size: 0.7em;
+                opacity: 0.7;
+            }
+
+            .touch-joystick {
+                display: none;
+                position: absolute;
+                left: 24px;
+                bottom: 24px;
+                width: ${TOUCH_JOYSTICK_RADIUS * 2 + 20}px;
+                height: ${TOUCH_JOYSTICK_RADIUS * 2 + 20}px;
+                border-radius: 50%;
+                background: rgba(255, 255, 255, 0.12);
+                border: 2px solid rgba(255, 107, 53, 0.5);
+                z-index: 1000;
+                touch-action: none;
+            }
+
+            .touch-knob {
+                position: absolute;
+                left: 50%;
+                top: 50%;
+                width: 50px;
+                height: 50px;
+                margin: -25px 0 0 -25px;
+                border-radius: 50%;
+                background: rgba(255, 107, 53, 0.8);
+                pointer-events: none;
+            }
+
+            .touch-buttons {
+                display: none;
+                position: absolute;
+                right: 8px;
+                top: 50%;
+                transform: translateY(-50%);
+                flex-direction: column;
+                gap: 10px;
+                z-index: 1000;
+            }
+
+            .touch-buttons button {
+                width: 48px;
+                height: 48px;
+                border-radius: 50%;
+                border: 2px solid rgba(255, 107, 53, 0.6);
+                background: rgba(26, 26, 46, 0.85);
+                font-size: 20px;
+                touch-action: none;
+            }
+
+            body.touch-ui .touch-joystick {
+                display: block;
+            }
+
+            body.touch-ui .touch-buttons {
+                display: flex;
+            }
+
+            /* The joystick owns the bottom-left corner on touch screens */
+            body.touch-ui .controls-panel {
+                bottom: auto;
+                top: 50%;
+                left: 8px;
+                transform: translateY(-50%);
+            }
+
+            @media (max-width: 768px) {
+                .game-ui {
+                    padding: 10px;
+                    border-radius: 10px;
+                }
+
+                .scoreboard {
+                    top: 8px;
+                    min-width: 0;
+                    width: calc(100% - 40px);
+                    max-width: 420px;
+                }
+
+                .scoreboard h2 {
+                    font-size: 16px;
+                }
+
+                .score-display {
+                    font-size: 22px;
+                    margin: 4px 0;
+                }
+
+                .stats-row {
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    font-size: 12px;
+                }
+
+                .game-status {
+                    margin-top: 6px;
+                    font-size: 12px;
+                }
+
+                .controls-panel {
+                    max-width: 200px;
+                    max-height: 45vh;
+                    overflow-y: auto;
+                }
+
+                .controls-panel h3 {
+                    font-size: 15px;
+                    margin: 0 0 6px 0;
+                }
+
+                .power-panel {
+                    right: 8px;
+                    bottom: 8px;
+                    min-width: 0;
+                    width: 170px;
+                }
+
+                .power-display {
+                    font-size: 15px;
+                    margin-bottom: 6px;
+                }
+
+                .shot-chart-panel {
+                    transform: scale(0.7);
+                    transform-origin: top right;
+                }
+
+                .feedback-panel {
+                    font-size: 20px;
+                    padding: 16px;
+                    min-width: 0;
+                }
+
+                .mode-overlay {
+                    min-width: 0;
+                    width: calc(100% - 60px);
+                    max-height: 80vh;
+                    overflow-y: auto;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    createGameInterface() {
+        // Main scoreboard
+        this.scoreboard = document.createElement('div');
+        this.scoreboard.className = 'game-ui scoreboard';
+        this.scoreboard.innerHTML = `
+            <h2 class="panel-header" style="margin: 0 0 10px 0; color: #ff6b35;">🏀 SUPER BASKETBALL ARENA</h2>
+            <div class="score-display panel-keep" id="score-display">SCORE: 0</div>
+            <div class="mode-display panel-keep" id="mode-display"></div>
+            <div id="mode-details"></div>
+            <div class="stats-row">
+                <div class="stat-item">
+                    <strong>Attempts:</strong> <span id="attempts">0</span>
+                </div>
+                <div class="stat-item">
+                    <strong>Made:</strong> <span id="made">0</span>
+                </div>
+                <div class="stat-item">
+                    <strong>Accuracy:</strong> <span id="accuracy">0%</span>
+                </div>
+                <div class="stat-item">
+                    <strong>FT:</strong> <span id="free-throws">0/0</span>
+                </div>
+                <div class="stat-item">
+                    <strong>Swish Streak:</strong> <span id="swish-streak">0</span>
+                </div>
+            </div>
+            <div class="game-status panel-keep" id="game-status">🌟 SUPER ARENA: Enhanced with Day/Night, Replay, Particles & More! 🌟</div>
+            <div class="camera-display" id="camera-display"></div>
+        `;
+        document.body.appendChild(this.scoreboard);
+
+        // Enhanced controls panel
+        this.controlsPanel = document.createElement('div');
+        this.controlsPanel.className = 'game-ui controls-panel';
+        this.renderControls();
+        document.body.appendChild(this.controlsPanel);
+
+        // Power adjustment panel
+        this.powerPanel = document.createElement('div');
+        this.powerPanel.className = 'game-ui power-panel';
+        this.powerPanel.innerHTML = `
+            <div class="power-display panel-header" id="power-display">SHOT POWER: 50%</div>
+            <div class="power-bar panel-keep" id="power-bar">
+                <div class="power-fill" id="power-fill" style="width: 50%"></div>
+                <div class="power-window" id="power-window"></div>
+            </div>
+            <div style="text-align: center; margin-top: 10px; font-size: 12px; color: #ccc;" id="power-hint"></div>
+            <div style="text-align: center; margin-top: 6px; font-size: 13px;" id="aim-display">AIM: RIGHT HOOP</div>
+            <div style="text-align: center; margin-top: 6px; font-size: 13px;" id="arc-display">ARC: 65°</div>
+            <div style="text-align: center; margin-top: 6px; font-size: 13px;" id="backspin-display">BACKSPIN: NORMAL</div>
+            <div style="text-align: center; margin-top: 6px; font-size: 13px; display: none;" id="prediction-display"></div>
+        `;
+        document.body.appendChild(this.powerPanel);
+
+        [this.scoreboard, this.controlsPanel, this.powerPanel].forEach(panel => this.makeCollapsible(panel));
+
+        // Replay banner
+        this.replayBanner = document.createElement('div');
+        this.replayBanner.className = 'game-ui replay-banner';
+        document.body.appendChild(this.replayBanner);
+
+        // Shot feedback panel
+        this.feedbackPanel = document.createElement('div');
+        this.feedbackPanel.className = 'game-ui feedback-panel';
+        this.feedbackPanel.id = 'feedback-panel';
+        document.body.appendChild(this.feedbackPanel);
+    }
+
+    updateScore(score, attempts, made) {
+        document.getElementById('score-display').textContent = `SCORE: ${score}`;
+        document.getElementById('attempts').textContent = attempts;
+        document.getElementById('made').textContent = made;
+
+        const accuracy = attempts > 0 ? Math.round((made / attempts) * 100) : 0;
+        document.getElementById('accuracy').textContent = `${accuracy}%`;
+    }
+
+    updateFreeThrows(made, attempted) {
+        const percentage = attempted > 0 ? Math.round((made / attempted) * 100) : 0;
+        document.getElementById('free-throws').textContent = `${made}/${attempted} (${percentage}%)`;
+    }
+
+    updateSwishStreak(streak, best) {
+        document.getElementById('swish-streak').textContent = `${streak} (best ${best})`;
+    }
+
+    updateModeDisplay(text, urgent = false) {
+        const display = document.getElementById('mode-display');
+        display.textContent = text;
+        display.style.display = text ? 'block' : 'none';
+        display.classList.toggle('mode-urgent', urgent);
+    }
+
+    updateCameraPreset(label) {
+        this.cameraLabel = label;
+        const prompt = { pad: 'RB', touch: '📷' }[this.promptStyle] || keyBindings.getLabel('camera');
+        document.getElementById('camera-display').textContent = `📷 ${label} (${prompt} to switch)`;
+    }
+
+    setPromptStyle(style) {
+        if (style === this.promptStyle) return;
+        this.promptStyle = style;
+
+        this.renderControls();
+        if (this.cameraLabel) this.updateCameraPreset(this.cameraLabel);
+    }
+
+    makeCollapsible(panel) {
+        // Tapping the header folds the panel down to its header and any .panel-keep lines.
+        // Delegated, so panels that re-render their header keep working.
+        panel.addEventListener('click', e => {
+            if (e.target.closest('.panel-header')) panel.classList.toggle('collapsed');
+        });
+    }
+
+    renderControls() {
+        // Built from the current key bindings, or the pad glyphs once a controller is in use
+        const pad = this.promptStyle === 'pad';
+        const rows = CONTROL_PANEL_ROWS.map(row => `
+            <div class="control-item">
+                <span class="control-key">${escapeHtml(pad && row.pad ? row.pad : row.key || keyBindings.getLabels(row.actions))}</span>${row.label}
+            </div>
+        `).join('');
+
+        this.controlsPanel.innerHTML = `
+            <h3 class="panel-header">🎮 SUPER CONTROLS</h3>
+            ${rows}
+            <button id="rebind-keys">⌨️ Rebind Keys</button>
+        `;
+        this.controlsPanel.querySelector('#rebind-keys').addEventListener('click', () => keyBindings.open());
+    }
+
+    setCompactLayout() {
+        this.scoreboard.classList.add('collapsed');
+        this.controlsPanel.classList.add('collapsed');
+    }
+
+    updateModeDetails(html) {
+        document.getElementById('mode-details').innerHTML = html;
+    }
+
+    updatePower(power) {
+        const percentage = Math.round(power * 100);
+        document.getElementById('power-display').textContent = `SHOT POWER: ${percentage}%`;
+        document.getElementById('power-fill').style.width = `${percentage}%`;
+    }
+
+    updateAim(hoopSide, offsetDegrees, releaseAngle) {
+        const offset = Math.round(offsetDegrees);
+        const direction = offset === 0 ? 'DEAD ON' : `${Math.abs(offset)}° ${offset > 0 ? 'RIGHT' : 'LEFT'}`;
+        document.getElementById('aim-display').textContent = `AIM: ${hoopSide.toUpperCase()} HOOP · ${direction}`;
+        document.getElementById('arc-display').textContent = `ARC: ${Math.round(releaseAngle)}°`;
+    }
+
+    updateShotMeter(isMeterMode, idealPower) {
+        const bar = document.getElementById('power-bar');
+        const greenWindow = document.getElementById('power-window');
+
+        bar.classList.toggle('power-meter-active', isMeterMode);
+        greenWindow.style.display = isMeterMode ? 'block' : 'none';
+        if (isMeterMode) {
+            greenWindow.style.left = `${(idealPower - GREEN_WINDOW) * 100}%`;
+            greenWindow.style.width = `${GREEN_WINDOW * 2 * 100}%`;
+        }
+
+        const pad = this.promptStyle === 'pad';
+        if (this.promptStyle === 'touch') {
+            document.getElementById('power-hint').textContent = 'Drag back from the ball and let go to shoot';
+            return;
+        }
+        const shoot = pad ? 'Ⓐ' : keyBindings.getLabel('shoot');
+        const power = pad ? 'trigger' : keyBindings.getLabels(['powerUp', 'powerDown']);
+        const meter = keyBindings.getLabel('meter');
+        document.getElementById('power-hint').textContent = isMeterMode ?
+            `Hold ${shoot}, release in the green · ${meter} for ${power} power` :
+            `Use ${pad ? 'LT/RT' : `${power} keys`} to adjust · ${meter} for shot meter`;
+    }
+
+    updateReplay(title, hint, progress) {
+        if (!title) {
+            this.replayBanner.style.display = 'none';
+            return;
+        }
+
+        this.replayBanner.innerHTML = `🔴 ${escapeHtml(title)} · ${Math.round(progress * 100)}%<small>${escapeHtml(hint)}</small>`;
+        this.replayBanner.style.display = 'block';
+    }
+
+    updatePrediction(verdict, contested = false) {
+        const display = document.getElementById('prediction-display');
+        if (!verdict) {
+            display.style.display = 'none';
+            return;
+        }
+
+        const labels = {
+            'swish': '✅ PREDICTED: SWISH',
+            'rim-in': '✅ PREDICTED: IN OFF THE RIM',
+            'bank': '✅ PREDICTED: BANK SHOT',
+            'miss': '❌ PREDICTED: RIM OUT',
+            'airball': '❌ PREDICTED: AIRBALL'
+        };
+        display.textContent = contested ? `${labels[verdict]} · 🖐️ IF UNCONTESTED` : labels[verdict];
+        display.style.display = 'block';
+    }
+
+    updateBackspin(level) {
+        document.getElementById('backspin-display').textContent = `BACKSPIN: ${level.name}`;
+    }
+
+    // A make's `result` ({ text, ending, bonus, releaseGrade }) is captured when the ball drops, not when this shows
+    showShotFeedback(made, result = {}) {
+        const panel = document.getElementById('feedback-panel');
+        panel.style.display = 'block';
+        const releaseGrade = made ? result.releaseGrade : gameState.releaseGrade;
+
+        if (made) {
+            panel.textContent = result.text;
+            panel.className = 'game-ui feedback-panel feedback-made';
+        } else {
+            const missType = gameState.finishType ? `MISSED ${gameState.finishType.toUpperCase()} 😔` :
+                (gameState.isThreePointer ? 'MISSED 3-POINTER 😔' : 'MISSED SHOT 😔');
+            panel.textContent = missType;
+            panel.className = 'game-ui feedback-panel feedback-missed';
+        }
+
+        const endingStyle = made && SHOT_ENDING_STYLES[result.ending];
+        if (endingStyle) {
+            const ending = document.createElement('div');
+            ending.className = 'feedback-ending';
+            ending.textContent = result.bonus > 0 ? `${endingStyle.text} +${result.bonus}` : endingStyle.text;
+            panel.appendChild(ending);
+        }
+
+        if (releaseGrade) {
+            const release = document.createElement('div');
+            release.className = 'feedback-release';
+            release.textContent = `${releaseGrade} RELEASE`;
+            panel.appendChild(release);
+        }
+
+        setTimeout(() => {
+            panel.style.display = 'none';
+        }, 2000);
+    }
+
+    updateGameStatus(status) {
+        document.getElementById('game-status').textContent = status;
+    }
+}
+
+// =============================================================================
+// NET ANIMATION SYSTEM
+// =============================================================================
+
+function updateNetAnimation(deltaTime) {
     const hoops = [rightHoop, leftHoop];
 
-    for (const hoop of hoops) {
-        if (!hoop || !hoop.userData.net || !hoop.userData.net.animation.isActive) {
-            continue;
+    for (const hoop of hoops) {
+        if (!hoop || !hoop.userData.net || !hoop.userData.net.animation.isActive) {
+            continue;
+        }
+
+        const net = hoop.userData.net;
+        const anim = net.animation;
+        anim.time += deltaTime;
+
+        const damping = 1.0 - Math.min(1.0, anim.time / anim.duration);
+
+        if (damping <= 0) {
+            anim.isActive = false;
+
+            for (let i = 0; i < net.geometries.length; i++) {
+                net.geometries[i].attributes.position.copy(net.originalPositions[i]);
+                net.geometries[i].attributes.position.needsUpdate = true;
+            }
+            continue;
+        }
+
+        for (let i = 0; i < net.geometries.length; i++) {
+            const geometry = net.geometries[i];
+            const positions = geometry.attributes.position;
+            const originalPositions = net.originalPositions[i];
+            const vertexCount = positions.count;
+
+            for (let j = 0; j < vertexCount; j++) {
+                const originalX = originalPositions.getX(j);
+                const originalY = originalPositions.getY(j);
+                const originalZ = originalPositions.getZ(j);
+
+                const ripple = Math.sin(originalY * anim.frequency + anim.time * anim.speed);
+                const effectStrength = Math.abs(originalY / 0.45);
+
+                const offsetX = ripple * anim.amplitude * anim.intensity * effectStrength * damping;
+                const offsetZ = ripple * anim.amplitude * anim.intensity * effectStrength * damping;
+
+                positions.setXYZ(j, originalX + offsetX, originalY, originalZ + offsetZ);
+            }
+            positions.needsUpdate = true;
+        }
+    }
+}
+
+function updateRimFlex(deltaTime) {
+    for (const hoop of [rightHoop, leftHoop]) {
+        const flex = hoop.userData.rimFlex;
+        if (flex.isActive) {
+            flex.time += deltaTime;
+            if (flex.time >= RIM_FLEX_DURATION) flex.isActive = false;
+        }
+
+        // Damped spring: pulled down by the slam, then oscillating back to level
+        hoop.userData.rimPivot.rotation.z = flex.isActive ?
+            RIM_FLEX_ANGLE * Math.exp(-RIM_FLEX_DAMPING * flex.time) * Math.cos(RIM_FLEX_FREQUENCY * flex.time) : 0;
+    }
+}
+
+function triggerNetAnimation() {
+    if (!rightHoop || !leftHoop) return;
+
+    const rightHoopPos = new THREE.Vector3();
+    const leftHoopPos = new THREE.Vector3();
+
+    if (rightHoop.userData.rimPosition) {
+        rightHoop.localToWorld(rightHoopPos.copy(rightHoop.userData.rimPosition));
+    }
+    if (leftHoop.userData.rimPosition) {
+        leftHoop.localToWorld(leftHoopPos.copy(leftHoop.userData.rimPosition));
+    }
+
+    const distToRight = gameState.ballPosition.distanceTo(rightHoopPos);
+    const distToLeft = gameState.ballPosition.distanceTo(leftHoopPos);
+
+    const targetHoop = distToRight < distToLeft ? rightHoop : leftHoop;
+    const hoopSide = distToRight < distToLeft ? 'right' : 'left';
+
+    if (targetHoop.userData.net) {
+        targetHoop.userData.net.animation.isActive = true;
+        targetHoop.userData.net.animation.time = 0;
+        targetHoop.userData.net.animation.intensity = 1.0;
+        ui.updateGameStatus(`🌊 Net SWISH animation on ${hoopSide} hoop! 🏀✨`);
+    }
+}
+
+// =============================================================================
+// COURT CONSTRUCTION FUNCTIONS
+// =============================================================================
+
+function createCourtFloor() {
+    const courtGroup = new THREE.Group();
+
+    const courtGeometry = new THREE.BoxGeometry(COURT_LENGTH + 4, 0.3, COURT_WIDTH + 4);
+    const court = new THREE.Mesh(courtGeometry, COURT_MATERIAL);
+    court.position.y = COURT_FLOOR_Y - 0.15;
+    court.receiveShadow = true;
+    court.castShadow = true;
+    courtGroup.add(court);
+
+    const borderMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8b4513,
+        roughness: 0.7,
+        metalness: 0.2
+    });
+
+    const borderThickness = 0.5;
+    const borderHeight = 0.1;
+
+    const sideBorderGeo = new THREE.BoxGeometry(COURT_LENGTH + 4 + borderThickness * 2, borderHeight, borderThickness);
+    const topBorder = new THREE.Mesh(sideBorderGeo, borderMaterial);
+    topBorder.position.set(0, borderHeight / 2, (COURT_WIDTH + 4) / 2 + borderThickness / 2);
+    topBorder.castShadow = true;
+    courtGroup.add(topBorder);
+
+    const bottomBorder = topBorder.clone();
+    bottomBorder.position.z = -topBorder.position.z;
+    courtGroup.add(bottomBorder);
+
+    const endBorderGeo = new THREE.BoxGeometry(borderThickness, borderHeight, COURT_WIDTH + 4);
+    const leftBorder = new THREE.Mesh(endBorderGeo, borderMaterial);
+    leftBorder.position.set(-(COURT_LENGTH + 4) / 2 - borderThickness / 2, borderHeight / 2, 0);
+    leftBorder.castShadow = true;
+    courtGroup.add(leftBorder);
+
+    const rightBorder = leftBorder.clone();
+    rightBorder.position.x = -leftBorder.position.x;
+    courtGroup.add(rightBorder);
+
+    return courtGroup;
+}
+
+function createBoundaryLines() {
+    const group = new THREE.Group();
+    group.name = 'Boundary Lines';
+    const y = COURT_FLOOR_Y + LINES_Y_OFFSET;
+
+    const sidelineGeo = new THREE.BoxGeometry(COURT_LENGTH, 0.02, LINE_THICKNESS);
+    const sidelineTop = new THREE.Mesh(sidelineGeo, WHITE_LINE_MATERIAL);
+    sidelineTop.position.set(0, y, COURT_WIDTH / 2 - LINE_THICKNESS / 2);
+    sidelineTop.castShadow = true;
+    group.add(sidelineTop);
+
+    const sidelineBottom = sidelineTop.clone();
+    sidelineBottom.position.z = -sidelineTop.position.z;
+    group.add(sidelineBottom);
+
+    const endlineGeo = new THREE.BoxGeometry(LINE_THICKNESS, 0.02, COURT_WIDTH);
+    const endlineLeft = new THREE.Mesh(endlineGeo, WHITE_LINE_MATERIAL);
+    endlineLeft.position.set(-COURT_LENGTH / 2 + LINE_THICKNESS / 2, y, 0);
+    endlineLeft.castShadow = true;
+    group.add(endlineLeft);
+
+    const endlineRight = endlineLeft.clone();
+    endlineRight.position.x = -endlineLeft.position.x;
+    group.add(endlineRight);
+
+    const centerLineGeo = new THREE.BoxGeometry(LINE_THICKNESS, 0.02, COURT_WIDTH);
+    const centerLine = new THREE.Mesh(centerLineGeo, WHITE_LINE_MATERIAL);
+    centerLine.position.y = y;
+    centerLine.castShadow = true;
+    group.add(centerLine);
+
+    return group;
+}
+
+function createCenterCircle() {
+    const group = new THREE.Group();
+    group.name = 'Center Circle';
+    const y = COURT_FLOOR_Y + LINES_Y_OFFSET;
+    const radius = 1.8;
+
+    const ringGeo = new THREE.RingGeometry(radius - LINE_THICKNESS, radius, 64);
+    const circleLine = new THREE.Mesh(ringGeo, WHITE_LINE_MATERIAL);
+    circleLine.rotation.x = -Math.PI / 2;
+    circleLine.position.y = y;
+    circleLine.castShadow = true;
+    group.add(circleLine);
+
+    const fillerGeo = new THREE.CircleGeometry(radius - LINE_THICKNESS, 64);
+    const fillerCircle = new THREE.Mesh(fillerGeo, RED_PAINT_MATERIAL);
+    fillerCircle.receiveShadow = true;
+    fillerCircle.castShadow = true;
+    fillerCircle.rotation.x = -Math.PI / 2;
+    fillerCircle.position.y = y - 0.001;
+    group.add(fillerCircle);
+
+    return group;
+}
+
+function createEndzoneMarkings() {
+    const group = new THREE.Group();
+    group.name = 'Endzone Markings';
+    const y = COURT_FLOOR_Y + LINES_Y_OFFSET;
+
+    const arcRadius = THREE_POINT_ARC_RADIUS;
+    const hoopDistFromBaseline = 1.575;
+    const zPos = THREE_POINT_CORNER_Z;
+    const arcCenterX = (COURT_LENGTH / 2) - hoopDistFromBaseline;
+    const intersectX = arcCenterX - Math.sqrt(arcRadius**2 - zPos**2);
+    const segmentLength = (COURT_LENGTH / 2) - intersectX;
+
+    const threePointSegmentGeo = new THREE.BoxGeometry(segmentLength, 0.02, LINE_THICKNESS);
+    const topSegment = new THREE.Mesh(threePointSegmentGeo, WHITE_LINE_MATERIAL);
+    topSegment.position.set(intersectX + segmentLength / 2, y, zPos);
+    topSegment.castShadow = true;
+    group.add(topSegment);
+
+    const bottomSegment = topSegment.clone();
+    bottomSegment.position.set(intersectX + segmentLength / 2, y, -zPos);
+    group.add(bottomSegment);
+
+    const angle = Math.asin(zPos / arcRadius);
+    const startAngle = Math.PI - angle;
+    const sweepAngle = angle * 2;
+    const threePointArcGeo = new THREE.RingGeometry(arcRadius - LINE_THICKNESS, arcRadius, 64, 1, startAngle, sweepAngle);
+    const threePointArc = new THREE.Mesh(threePointArcGeo, WHITE_LINE_MATERIAL);
+    threePointArc.position.set(arcCenterX, y, 0);
+    threePointArc.rotation.x = -Math.PI / 2;
+    threePointArc.castShadow = true;
+    group.add(threePointArc);
+
+    const laneWidth = LANE_WIDTH;
+    const laneLength = LANE_LENGTH;
+    const freeThrowLineX = FREE_THROW_LINE_X;
+
+    const laneSideGeo = new THREE.BoxGeometry(laneLength, 0.02, LINE_THICKNESS);
+    const topLaneLine = new THREE.Mesh(laneSideGeo, WHITE_LINE_MATERIAL);
+    topLaneLine.position.set((COURT_LENGTH / 2) - (laneLength / 2), y, laneWidth / 2);
+    topLaneLine.castShadow = true;
+    group.add(topLaneLine);
+
+    const bottomLaneLine = topLaneLine.clone();
+    bottomLaneLine.position.z = -topLaneLine.position.z;
+    group.add(bottomLaneLine);
+
+    const freeThrowLineGeo = new THREE.BoxGeometry(LINE_THICKNESS, 0.02, laneWidth);
+    const freeThrowLine = new THREE.Mesh(freeThrowLineGeo, WHITE_LINE_MATERIAL);
+    freeThrowLine.position.set(freeThrowLineX, y, 0);
+    freeThrowLine.castShadow = true;
+    group.add(freeThrowLine);
+
+    const freeThrowArcRadius = 1.8;
+    const arcRingGeo = new THREE.RingGeometry(freeThrowArcRadius - LINE_THICKNESS, freeThrowArcRadius, 64, 1, Math.PI / 2, Math.PI);
+    const arcLine = new THREE.Mesh(arcRingGeo, WHITE_LINE_MATERIAL);
+    arcLine.position.set(freeThrowLineX, y, 0);
+    arcLine.rotation.x = -Math.PI / 2;
+    arcLine.castShadow = true;
+    group.add(arcLine);
+
+    const arcFillerGeo = new THREE.CircleGeometry(freeThrowArcRadius - LINE_THICKNESS, 64, Math.PI / 2, Math.PI);
+    const arcFiller = new THREE.Mesh(arcFillerGeo, RED_PAINT_MATERIAL);
+    arcFiller.receiveShadow = true;
+    arcFiller.castShadow = true;
+    arcFiller.position.set(freeThrowLineX, y - 0.001, 0);
+    arcFiller.rotation.x = -Math.PI / 2;
+    group.add(arcFiller);
+
+    return group;
+}
+
+function createHoop() {
+    const group = new THREE.Group();
+    group.name = 'Hoop Assembly';
+
+    group.userData.net = {
+        geometries: [],
+        originalPositions: [],
+        animation: {
+            isActive: false,
+            time: 0,
+            duration: 2.0,
+            amplitude: 0.25,
+            frequency: 20.0,
+            speed: 12.0,
+            intensity: 1.0 // Scales the amplitude for harder finishes
+        }
+    };
+    group.userData.rimFlex = { isActive: false, time: 0 };
+
+    // Positions come from the shared layout so meshes line up with the simulation colliders
+    const poleX = HOOP_LAYOUT.poleX;
+    const backboardX = HOOP_LAYOUT.backboardX;
+
+    const poleGeo = new THREE.CylinderGeometry(POLE_RADIUS, POLE_RADIUS * 1.1, RIM_Y + BACKBOARD_HEIGHT / 2, 32);
+    const pole = new THREE.Mesh(poleGeo, POLE_MATERIAL);
+    pole.castShadow = true;
+    pole.receiveShadow = true;
+    pole.position.set(poleX, (RIM_Y + BACKBOARD_HEIGHT / 2) / 2, 0);
+    group.add(pole);
+
+    const baseGeo = new THREE.CylinderGeometry(POLE_RADIUS * 1.8, POLE_RADIUS * 2.2, 0.4, 32);
+    const base = new THREE.Mesh(baseGeo, POLE_MATERIAL);
+    base.castShadow = true;
+    base.receiveShadow = true;
+    base.position.set(poleX, 0.2, 0);
+    group.add(base);
+
+    const backboardGeo = new THREE.BoxGeometry(BACKBOARD_THICKNESS, BACKBOARD_HEIGHT, BACKBOARD_WIDTH);
+    const glassBackboard = new THREE.Mesh(backboardGeo, BACKBOARD_MATERIAL);
+    glassBackboard.name = 'backboard';
+    glassBackboard.castShadow = true;
+    glassBackboard.receiveShadow = true;
+    glassBackboard.position.set(backboardX, HOOP_LAYOUT.backboardY, 0);
+    group.add(glassBackboard);
+
+    group.userData.backboard = glassBackboard;
+
+    const squareGeo = new THREE.PlaneGeometry(0.59, 0.45);
+    const squareMaterial = new THREE.MeshStandardMaterial({
+        color: 0xff4500,
+        roughness: 0.8,
+        metalness: 0.1,
+        transparent: true,
+        opacity: 0.8
+    });
+    const square = new THREE.Mesh(squareGeo, squareMaterial);
+    square.position.set(glassBackboard.position.x - 0.041, RIM_Y + 0.225, 0);
+    square.rotation.y = Math.PI / 2;
+    square.castShadow = true;
+    group.add(square);
+
+    const armLength = pole.position.x - POLE_RADIUS - (glassBackboard.position.x + 0.04);
+    const armGeo = new THREE.BoxGeometry(armLength, 0.12, 0.12);
+    const arm = new THREE.Mesh(armGeo, POLE_MATERIAL);
+    arm.castShadow = true;
+    arm.receiveShadow = true;
+    arm.position.set(glassBackboard.position.x + 0.04 + (armLength / 2), RIM_Y, 0);
+    group.add(arm);
+
+    const connectorDepth = HOOP_LAYOUT.connectorDepth;
+    const connectorGeo = new THREE.BoxGeometry(connectorDepth, 0.08, 0.25);
+    const connector = new THREE.Mesh(connectorGeo, RIM_MATERIAL);
+    connector.position.set(HOOP_LAYOUT.connectorX, RIM_Y, 0);
+    connector.castShadow = true;
+    group.add(connector);
+
+    // Rim and net hang from a pivot at the connector so a dunk can bend them down
+    const rimPivot = new THREE.Group();
+    rimPivot.position.set(HOOP_LAYOUT.rimX + RIM_RADIUS, RIM_Y, 0);
+    group.add(rimPivot);
+    group.userData.rimPivot = rimPivot;
+
+    const rimGeo = new THREE.TorusGeometry(RIM_RADIUS, RIM_TUBE_RADIUS, 16, 64);
+    const rim = new THREE.Mesh(rimGeo, RIM_MATERIAL);
+    rim.castShadow = true;
+    rim.receiveShadow = true;
+    rim.position.set(-RIM_RADIUS, 0, 0);
+    rim.rotation.x = Math.PI / 2;
+    rimPivot.add(rim);
+
+    group.userData.rimPosition = new THREE.Vector3(HOOP_LAYOUT.rimX, RIM_Y, 0);
+    group.userData.rimRadius = RIM_RADIUS;
+
+    const netGroup = new THREE.Group();
+    const numMainStrands = 12;
+    const netLength = 0.45;
+    const netBottomRadius = RIM_RADIUS * 0.3;
+
+    const processStrand = (points) => {
+        const strandGeo = new THREE.BufferGeometry().setFromPoints(points);
+        const strand = new THREE.Line(strandGeo, NET_MATERIAL);
+
+        group.userData.net.geometries.push(strandGeo);
+        group.userData.net.originalPositions.push(strandGeo.attributes.position.clone());
+
+        netGroup.add(strand);
+    };
+
+    for (let i = 0; i < numMainStrands; i++) {
+        const angle = (i / numMainStrands) * Math.PI * 2;
+        const segmentCount = 10;
+        const strandPoints = [];
+
+        for (let j = 0; j <= segmentCount; j++) {
+            const t = j / segmentCount;
+            const curveFactor = Math.sin(t * Math.PI) * 0.08;
+            const radiusAtPoint = RIM_RADIUS * 0.95 * (1 - t * 0.7) + netBottomRadius * t;
+            const swayFactor = Math.sin(angle * 3 + t * Math.PI) * 0.02;
+
+            const x = radiusAtPoint * Math.cos(angle) + curveFactor * Math.cos(angle + Math.PI/2) + swayFactor;
+            const y = -t * netLength - Math.pow(t, 2.5) * 0.12;
+            const z = radiusAtPoint * Math.sin(angle) + curveFactor * Math.sin(angle + Math.PI/2) + swayFactor;
+
+            strandPoints.push(new THREE.Vector3(x, y, z));
+        }
+        processStrand(strandPoints);
+    }
+
+    const horizontalLevels = 5;
+    for (let level = 1; level <= horizontalLevels; level++) {
+        const levelHeight = -(level / horizontalLevels) * netLength * 0.85;
+        const levelRadius = RIM_RADIUS * 0.95 * (1 - (level / horizontalLevels) * 0.7) + netBottomRadius * (level / horizontalLevels);
+
+        for (let i = 0; i < numMainStrands; i++) {
+            const angle1 = (i / numMainStrands) * Math.PI * 2;
+            const angle2 = ((i + 1) / numMainStrands) * Math.PI * 2;
+            const sag = Math.pow(level / horizontalLevels, 2) * 0.03;
+            const x1 = levelRadius * Math.cos(angle1);
+            const z1 = levelRadius * Math.sin(angle1);
+            const x2 = levelRadius * Math.cos(angle2);
+            const z2 = levelRadius * Math.sin(angle2);
+            const midX = (x1 + x2) / 2;
+            const midZ = (z1 + z2) / 2;
+
+            const horizontalPoints = [
+                new THREE.Vector3(x1, levelHeight, z1),
+                new THREE.Vector3(midX, levelHeight - sag, midZ),
+                new THREE.Vector3(x2, levelHeight, z2)
+            ];
+            processStrand(horizontalPoints);
+        }
+    }
+
+    for (let i = 0; i < 8; i++) {
+        const angle = (Math.random() * Math.PI * 2);
+        const startRadius = RIM_RADIUS * (0.7 + Math.random() * 0.2);
+        const startX = startRadius * Math.cos(angle);
+        const startZ = startRadius * Math.sin(angle);
+
+        const loosePoints = [
+            new THREE.Vector3(startX, -netLength * 0.2, startZ),
+            new THREE.Vector3(startX * 0.9 + (Math.random() - 0.5) * 0.05, -netLength * 0.5, startZ * 0.9 + (Math.random() - 0.5) * 0.05),
+            new THREE.Vector3(startX * 0.6 + (Math.random() - 0.5) * 0.08, -netLength * 0.8, startZ * 0.6 + (Math.random() - 0.5) * 0.08),
+            new THREE.Vector3(startX * 0.3 + (Math.random() - 0.5) * 0.1, -netLength * 1.05, startZ * 0.3 + (Math.random() - 0.5) * 0.1)
+        ];
+        processStrand(loosePoints);
+    }
+
+    netGroup.position.copy(rim.position);
+    rimPivot.add(netGroup);
+
+    return group;
+}
+
+function createBall() {
+    const group = new THREE.Group();
+    group.name = "Basketball";
+
+    const ballGeo = new THREE.SphereGeometry(BALL_RADIUS, 64, 64);
+    const ballMesh = new THREE.Mesh(ballGeo, BALL_MATERIAL);
+    ballMesh.castShadow = true;
+    ballMesh.receiveShadow = true;
+    group.add(ballMesh);
+    group.userData.ballMesh = ballMesh;
+
+    const seamTubeRadius = 0.001;
+
+    function createTubeFromPath(path) {
+        const tubeGeo = new THREE.TubeGeometry(path, 128, seamTubeRadius, 8, path.closed);
+        return new THREE.Mesh(tubeGeo, BALL_SEAM_MATERIAL);
+    }
+
+    const mainSeamPath = new THREE.CatmullRomCurve3((() => {
+        const pts = [];
+        for (let i = 0; i <= 256; i++) {
+            const t = i / 256;
+            const θ = t * Math.PI * 2;
+            pts.push(new THREE.Vector3(
+                BALL_RADIUS * Math.cos(θ) * Math.cos(Math.sin(2 * θ)),
+                BALL_RADIUS * Math.sin(θ) * Math.cos(Math.sin(2 * θ)),
+                BALL_RADIUS * Math.sin(Math.sin(2 * θ))
+            ));
+        }
+        return pts;
+    })(), true);
+    group.add(createTubeFromPath(mainSeamPath));
+
+    const oppositeSeamPath = new THREE.CatmullRomCurve3((() => {
+        const pts = [];
+        for (let i = 0; i <= 256; i++) {
+            const t = i / 256;
+            const θ = t * Math.PI * 2;
+            pts.push(new THREE.Vector3(
+                BALL_RADIUS * Math.cos(θ + Math.PI) * Math.cos(Math.sin(2 * θ + Math.PI)),
+                BALL_RADIUS * Math.sin(θ + Math.PI) * Math.cos(Math.sin(2 * θ + Math.PI)),
+                BALL_RADIUS * Math.sin(Math.sin(2 * θ + Math.PI))
+            ));
+        }
+        return pts;
+    })(), true);
+    group.add(createTubeFromPath(oppositeSeamPath));
+
+    const createVerticalSeam = (rotation) => new THREE.CatmullRomCurve3((() => {
+        const pts = [];
+        for (let i = 0; i <= 128; i++) {
+            const t = i / 128;
+            const φ = t * Math.PI;
+            pts.push(new THREE.Vector3(
+                BALL_RADIUS * Math.sin(φ) * Math.cos(rotation),
+                BALL_RADIUS * Math.cos(φ),
+                BALL_RADIUS * Math.sin(φ) * Math.sin(rotation)
+            ));
+        }
+        return pts;
+    })(), false);
+
+    for (let i = 0; i < 4; i++) {
+        const verticalSeamCurve = createVerticalSeam((i * Math.PI) / 2);
+        group.add(createTubeFromPath(verticalSeamCurve));
+    }
+
+    const horizontalSeamPath = new THREE.CatmullRomCurve3((() => {
+        const pts = [];
+        for (let i = 0; i <= 256; i++) {
+            const t = i / 256;
+            const θ = t * Math.PI * 2;
+            pts.push(new THREE.Vector3(
+                BALL_RADIUS * Math.cos(θ),
+                0,
+                BALL_RADIUS * Math.sin(θ)
+            ));
+        }
+        return pts;
+    })(), true);
+    group.add(createTubeFromPath(horizontalSeamPath));
+
+    const logoSize = BALL_RADIUS * 0.6;
+    const logoGeo = new THREE.PlaneGeometry(logoSize, logoSize);
+
+    const logoPositions = [
+        { position: new THREE.Vector3(BALL_RADIUS, 0, 0), normal: new THREE.Vector3(1, 0, 0) },
+        { position: new THREE.Vector3(-BALL_RADIUS, 0, 0), normal: new THREE.Vector3(-1, 0, 0) }
+    ];
+
+    logoPositions.forEach((logoData, index) => {
+        const logoMesh = new THREE.Mesh(logoGeo, BALL_LOGO_MATERIAL);
+        logoMesh.renderOrder = 1;
+        logoMesh.position.copy(logoData.position);
+        logoMesh.position.addScaledVector(logoData.normal, 0.001);
+        logoMesh.lookAt(logoData.position.clone().multiplyScalar(2));
+        logoMesh.castShadow = false;
+        group.add(logoMesh);
+    });
+
+    return group;
+}
+
+// =============================================================================
+// ENHANCED PHYSICS SYSTEM
+// =============================================================================
+
+class PhysicsSystem {
+    static updateBallPhysics(deltaTime) {
+        // Store last position for trail effects
+        gameState.lastBallPosition.copy(gameState.ballPosition);
+
+        if (gameState.isShooting) {
+            // The dunker throws it down from the top of the jump
+            if (gameState.slamTimer > 0) {
+                gameState.slamTimer -= deltaTime;
+                if (gameState.slamTimer <= 0) slamDunk(gameState, gameState.slamTarget);
+            }
+
+            const events = stepBall(gameState, world, deltaTime);
+            const block = defender.collide();
+            if (block) events.push(block);
+            events.forEach(event => this.handleEvent(event));
+        }
+    }
+
+    static handleEvent(event) {
+        const hoop = event.hoopIndex === 0 ? rightHoop : leftHoop;
+
+        switch (event.type) {
+            case 'floorBounce':
+                // Create dust particles on bounce
+                if (particleSystem) {
+                    particleSystem.createCourtDust(gameState.ballPosition);
+                }
+                soundEffects.play('bounce', gameState.ballVelocity.length() / 8);
+                break;
+            case 'backboard':
+                gameState.shotContacts.push(event.type);
+                soundEffects.play('backboard');
+                ui.updateGameStatus('Ball hit the backboard! 🏀');
+                break;
+            case 'rim':
+                gameState.shotContacts.push(event.type);
+                // Create rim spark particles
+                if (particleSystem) {
+                    particleSystem.createRimSparks(new THREE.Vector3().copy(event.position));
+                }
+                soundEffects.play('rim');
+                ui.updateGameStatus(`Clank! Off the ${event.side} rim! 💥`);
+                break;
+            case 'block':
+                if (particleSystem) {
+                    particleSystem.createCourtDust(new THREE.Vector3().copy(event.position));
+                }
+                soundEffects.play('backboard');
+                ui.updateGameStatus('🚫 REJECTED! The defender got a hand on it!');
+                break;
+            case 'lodged':
+                ui.updateGameStatus(`Stuck between the ${event.side} rim and glass! Dead ball 😅`);
+                break;
+            case 'score':
+                soundEffects.play('score');
+                this.scoreBasket(hoop, event.hoopIndex);
+                break;
+        }
+    }
+
+    static getMadeShotText() {
+        if (gameState.finishType === 'dunk') return 'SLAM DUNK! 💥';
+        if (gameState.finishType === 'layup') return 'LAYUP MADE! 🏃';
+        return gameState.isThreePointer ? '3-POINTER MADE! 🔥' : 'SHOT MADE! 🎉';
+    }
+
+    static storePreviousState() {
+        gameState.previousBallPosition.copy(gameState.ballPosition);
+        gameState.previousBallRotation.copy(gameState.ballRotation);
+    }
+
+    static syncBallVisual(alpha) {
+        if (!ballGroup) return;
+
+        // Blend between the last two physics states so motion stays smooth at any refresh rate
+        ballGroup.position.lerpVectors(gameState.previousBallPosition, gameState.ballPosition, alpha);
+        ballGroup.rotation.x = THREE.MathUtils.lerp(gameState.previousBallRotation.x, gameState.ballRotation.x, alpha);
+        ballGroup.rotation.y = THREE.MathUtils.lerp(gameState.previousBallRotation.y, gameState.ballRotation.y, alpha);
+        ballGroup.rotation.z = THREE.MathUtils.lerp(gameState.previousBallRotation.z, gameState.ballRotation.z, alpha);
+
+        // Dribbling is drawn only: the physics ball stays on the floor, where shots leave from
+        ballGroup.position.y += DRIBBLE_HEIGHT * Math.sin(Math.PI * gameState.dribblePhase);
+    }
+
+    static scoreBasket(hoop, hoopIndex) {
+        // Only a shot that is still unresolved can score; a miss stays a miss
+        if (gameState.lastShotResult === '') {
+            // Read from the mode before onShotResolved can end it
+            const points = gameModes.current.getShotPoints();
+            const bonus = gameModes.current.getSwishBonus();
+            const ending = swishTracker.getEnding();
+            const endingStyle = SHOT_ENDING_STYLES[ending];
+            gameState.score += points;
+            if (gameModes.current.freeThrows) {
+                gameState.freeThrowsMade++;
+            } else {
+                gameState.shotsMade++;
+            }
+            gameState.lastShotResult = 'made';
+            ui.updateScore(gameState.score, gameState.shotAttempts, gameState.shotsMade);
+            ui.updateFreeThrows(gameState.freeThrowsMade, gameState.freeThrowsAttempted);
+            shotLog.recordShot(true);
+            gameModes.onShotResolved(true);
+            swishTracker.recordMake(ending);
+            if (gameModes.current.instantReplay) replaySystem.queueInstantReplay(hoopIndex);
+
+            // Trigger net animation; finishes shake it harder
+            if (hoop && hoop.userData.net) {
+                hoop.userData.net.animation.isActive = true;
+                hoop.userData.net.animation.time = 0;
+                hoop.userData.net.animation.intensity = FINISH_NET_INTENSITY[gameState.finishType] || 1.0;
+            }
+            if (gameState.finishType === 'dunk') {
+                hoop.userData.rimFlex.isActive = true;
+                hoop.userData.rimFlex.time = 0;
+            }
+
+            // Create score explosion particles
+            if (particleSystem) {
+                const rimPos = new THREE.Vector3();
+                hoop.localToWorld(rimPos.copy(hoop.userData.rimPosition));
+                if (gameState.finishType) {
+                    particleSystem.createFinishBurst(rimPos, gameState.finishType);
+                } else {
+                    particleSystem.createScoreExplosion(rimPos, gameState.isThreePointer, endingStyle.colors);
+                }
+            }
+
+            const shotTypeText = PhysicsSystem.getMadeShotText();
+            const encouragementText = {
+                dunk: 'Threw it down!',
+                layup: 'Off the glass and in!'
+            }[gameState.finishType] || (gameState.isThreePointer ? 'From downtown! Amazing!' : 'Great shooting!');
+            const endingText = endingStyle ? ` ${endingStyle.status}` : '';
+            const bonusText = bonus > 0 ? ` +${bonus} SWISH BONUS!` : '';
+            const streakText = swishTracker.streak >= 2 ? ` 💦 x${swishTracker.streak} in a row!` : '';
+
+            const result = { text: shotTypeText, ending, bonus, releaseGrade: gameState.releaseGrade };
+
+            setTimeout(() => {
+                ui.showShotFeedback(true, result);
+                ui.updateGameStatus(`${shotTypeText} ${encouragementText}${endingText}${bonusText}${streakText} 🏀`);
+            }, 500);
+        }
+    }
+}
+
+// =============================================================================
+// ENHANCED INPUT SYSTEM
+// =============================================================================
+
+class InputSystem {
+    static handleInput(deltaTime) {
+        // The computer has the ball until its shot is up
+        if (gameState.isShooting || aiShooter.active) return;
+
+        // The shooter is set while the meter charges
+        if (shotMeter && shotMeter.charging) {
+            shotMeter.update(deltaTime);
+            return;
+        }
+
+        let moved = false;
+        const moveVector = new THREE.Vector3();
+
+        // Some modes pin the shooter to a spot; aim, arc and power stay adjustable
+        const positionLocked = gameModes.current.lockPosition;
+
+        // Keyboard movement (slower and more controlled)
+        const moveStep = gameSettings.get('moveSpeed') * deltaTime;
+        if (gameState.heldActions.moveLeft) {
+            moveVector.x = -moveStep;
+            moved = true;
+        }
+        if (gameState.heldActions.moveRight) {
+            moveVector.x = moveStep;
+            moved = true;
+        }
+        if (gameState.heldActions.moveUp) {
+            moveVector.z = -moveStep;
+            moved = true;
+        }
+        if (gameState.heldActions.moveDown) {
+            moveVector.z = moveStep;
+            moved = true;
+        }
+        const analogMove = this.getAnalogMove();
+        if (analogMove.lengthSq() > 0) {
+            moveVector.x += analogMove.x * moveStep;
+            moveVector.z += analogMove.y * moveStep;
+            moved = true;
+        }
+
+        // Apply movement with boundary checking
+        if (moved && !positionLocked) {
+            // Aim is kept relative to the hoop being aimed at, so walking doesn't throw it off
+            const aimOffset = AimSystem.getAimOffset();
+            const newPosition = gameState.ballPosition.clone().add(moveVector);
+
+            // Keep ball within court boundaries
+            const maxX = COURT_LENGTH / 2 - BALL_RADIUS;
+            const maxZ = COURT_WIDTH / 2 - BALL_RADIUS;
+
+            newPosition.x = Math.max(-maxX, Math.min(maxX, newPosition.x));
+            newPosition.z = Math.max(-maxZ, Math.min(maxZ, newPosition.z));
+            gameModes.current.constrainMove(newPosition);
+
+            this.rollBall(newPosition, deltaTime);
+            gameState.aimHeading = headingToHoop(world, gameState.ballPosition, aimOffset.hoopIndex) + aimOffset.offset;
+        } else {
+            // Every attempt to move ends up here, so a pinned mode sees all of them
+            if (moved) gameModes.current.onPinnedMove(moveVector);
+            gameState.isMoving = false;
+            gameState.ballAngularVelocity.multiplyScalar(0.95);
+        }
+
+        // Aim heading and release angle
+        const aimStep = gameSettings.get('aimSpeed') * deltaTime;
+        if (gameState.heldActions.aimLeft) {
+            gameState.aimHeading -= aimStep;
+        }
+        if (gameState.heldActions.aimRight) {
+            gameState.aimHeading += aimStep;
+        }
+        gameState.aimHeading += gameState.padAim * aimStep;
+        if (gameState.heldActions.arcDown) {
+            gameState.releaseAngle = Math.max(MIN_RELEASE_ANGLE, gameState.releaseAngle - RELEASE_ANGLE_STEP * deltaTime);
+        }
+        if (gameState.heldActions.arcUp) {
+            gameState.releaseAngle = Math.min(MAX_RELEASE_ANGLE, gameState.releaseAngle + RELEASE_ANGLE_STEP * deltaTime);
+        }
+
+        // Power adjustment (slower and more precise); the timing meter sets power itself
+        if (shotMeter && shotMeter.mode === 'meter') return;
+
+        const powerStep = gameSettings.get('powerStep') * deltaTime;
+        if (gameState.heldActions.powerUp) {
+            gameState.shotPower = Math.min(MAX_SHOT_POWER, gameState.shotPower + powerStep);
+            ui.updatePower(gameState.shotPower);
+        }
+        if (gameState.heldActions.powerDown) {
+            gameState.shotPower = Math.max(MIN_SHOT_POWER, gameState.shotPower - powerStep);
+            ui.updatePower(gameState.shotPower);
+        }
+        if (gameState.padPower !== 0) {
+            gameState.shotPower = THREE.MathUtils.clamp(gameState.shotPower + gameState.padPower * powerStep, MIN_SHOT_POWER, MAX_SHOT_POWER);
+            ui.updatePower(gameState.shotPower);
+        }
+    }
+
+    static getAnalogMove() {
+        // Gamepad stick and touch joystick together, never faster than a full stick
+        return gameState.padMove.clone().add(gameState.touchMove).clampLength(0, 1);
+    }
+
+    // The layup or dunk a shot released now would become, or null for a jump shot
+    static pendingFinish() {
+        if (!gameState.isMoving || gameModes.current.lockPosition) return null;
+        return chooseFinish(world, gameState.ballPosition, gameState.moveDirection);
+    }
+
+    static shootBall({ powerErrorScale = 1.0, releaseGrade = '', byComputer = false } = {}) {
+        if (gameState.isShooting || !gameModes.canShoot()) return;
+
+        // Store the shot origin for 3-point calculation
+        gameState.shotOrigin.copy(gameState.ballPosition);
+
+        // A defender in the shooter's face throws off power and aim
+        const contest = defender.contestShot(gameState.shotOrigin);
+        const power = THREE.MathUtils.clamp(gameState.shotPower + randomGaussian() * DEFENDER_POWER_ERROR * contest, MIN_SHOT_POWER, MAX_SHOT_POWER);
+        const heading = gameState.aimHeading + THREE.MathUtils.degToRad(randomGaussian() * DEFENDER_AIM_ERROR * contest);
+
+        // Driving at the rim from close in turns the shot into a layup or dunk; otherwise the
+        // trajectory comes from power, heading and release angle, and the hoop aimed at sets the ideal power.
+        // Either way the same power, aim and contest error goes in, and the simulation decides.
+        const finish = InputSystem.pendingFinish();
+        let shot;
+        if (finish && finish.type === 'dunk') {
+            shot = computeDunk(world, gameState.shotOrigin, finish.hoopIndex, { power, heading, powerErrorScale });
+        } else if (finish) {
+            shot = computeLayup(world, gameState.shotOrigin, finish.hoopIndex, { power, heading, powerErrorScale });
+        } else {
+            shot = computeShot(world, gameState.shotOrigin, power, {
+                backspin: BACKSPIN_LEVELS[gameState.backspinLevel].value,
+                heading,
+                releaseAngle: gameState.releaseAngle,
+                powerErrorScale
+            });
+        }
+        gameState.finishType = finish ? finish.type : '';
+        gameState.slamTimer = shot.slamTime || 0;
+        gameState.slamTarget = shot.slamTarget || null;
+        gameState.isThreePointer = shot.isThreePointer;
+        gameState.targetHoopIndex = shot.targetHoopIndex;
+        gameState.shotContacts = [];
+        gameState.releaseGrade = releaseGrade;
+        shotLog.startShot(!byComputer);
+        if (!byComputer) reboundSystem.startChase(gameState.shotOrigin);
+        replaySystem.markShotStart();
+        gameModes.onShotTaken(shot);
+        launchBall(gameState, shot.velocity, shot.angularVelocity);
+
+        // Update game state
+        if (gameModes.current.freeThrows) {
+            gameState.freeThrowsAttempted++;
+        } else {
+            gameState.shotAttempts++;
+        }
+        gameState.lastShotResult = '';
+
+        const feedbackTime = Math.max(2.0, shot.timeToRim + 0.5);
+        gameState.shotFeedbackTimer = feedbackTime;
+
+        ui.updateScore(gameState.score, gameState.shotAttempts, gameState.shotsMade);
+        ui.updateFreeThrows(gameState.freeThrowsMade, gameState.freeThrowsAttempted);
+
+        // Show shot type feedback
+        const shotType = gameModes.current.freeThrows ? 'FREE THROW' : (gameState.isThreePointer ? '3-POINTER' : '2-POINTER');
+        if (gameState.finishType) {
+            ui.updateGameStatus(contest > 0 ?
+                `🏃 CONTESTED ${gameState.finishType.toUpperCase()}... 🖐️` :
+                `🏃 Attacking the rim for the ${gameState.finishType}!`);
+        } else {
+            ui.updateGameStatus(contest > 0 ? `CONTESTED ${shotType}... 🖐️` : `${shotType} shot in progress... 🎯`);
+        }
+    }
+
+    static cycleBackspin() {
+        gameState.backspinLevel = (gameState.backspinLevel + 1) % BACKSPIN_LEVELS.length;
+        const level = BACKSPIN_LEVELS[gameState.backspinLevel];
+
+        ui.updateBackspin(level);
+        ui.updateGameStatus(`🌀 Backspin set to ${level.name}`);
+    }
+
+    static rollBall(newPosition, deltaTime) {
+        const step = newPosition.clone().sub(gameState.ballPosition);
+        gameState.ballPosition.copy(newPosition);
+        gameState.moveDirection.copy(step);
+
+        // Roll without slipping while moving: ω = (up × v) / r
+        gameState.ballAngularVelocity.set(step.z, 0, -step.x).divideScalar(BALL_RADIUS * deltaTime);
+        gameState.ballRotation.addScaledVector(gameState.ballAngularVelocity, deltaTime);
+
+        gameState.isMoving = true;
+    }
+
+    static updateDribble(deltaTime) {
+        if (gameState.isShooting) {
+            gameState.dribblePhase = 0;
+            return;
+        }
+
+        // Bounce while on the move; once stopped, the bounce in progress comes back down
+        if (!gameState.isMoving && gameState.dribblePhase === 0) return;
+        gameState.dribblePhase += DRIBBLE_RATE * deltaTime;
+        if (gameState.dribblePhase >= 1) {
+            gameState.dribblePhase = gameState.isMoving ? gameState.dribblePhase % 1 : 0;
+        }
+    }
+
+    static placeBall(x, z) {
+        // Puts a dead ball at rest on the floor, ending any shot in progress
+        gameState.ballPosition.set(x, BALL_REST_Y, z);
+        gameState.ballVelocity.set(0, 0, 0);
+        gameState.ballRotation.set(0, 0, 0);
+        gameState.ballAngularVelocity.set(0, 0, 0);
+        gameState.isShooting = false;
+        gameState.basketScored = false;
+        gameState.deadBall = false;
+        gameState.isMoving = false;
+        gameState.dribblePhase = 0;
+        gameState.slamTimer = 0;
+        gameState.lastShotResult = '';
+        gameState.shotFeedbackTimer = 0;
+        shotMeter.charging = false;
+        PhysicsSystem.storePreviousState();
+    }
+
+    static resetBall() {
+        // A shot in the air has to count first, so a miss (or a lost possession) can't be taken back
+        if (gameState.isShooting && gameState.lastShotResult === '') {
+            ui.updateGameStatus('⏳ Let the shot come down before resetting!');
+            return;
+        }
+
+        // Modes that pin the shooter send the ball back to their spot instead
+        if (gameModes.current.lockPosition) {
+            gameModes.current.rebound();
+            return;
+        }
+
+        this.placeBall(0, 0);
+        gameState.shotPower = 0.5;
+        gameState.aimHeading = 0;
+        gameState.releaseAngle = DEFAULT_RELEASE_ANGLE;
+        gameState.releaseGrade = '';
+
+        ui.updatePower(gameState.shotPower);
+        ui.updateGameStatus('🏀 Ball reset to center court! Ready for action! 🏀');
+    }
+}
+
+// =============================================================================
+// KEY BINDINGS
+// =============================================================================
+
+const KEY_BINDINGS_STORAGE_KEY = 'superArena.keyBindings';
+
+// Every keyboard action with its default key (KeyboardEvent.code, so defaults sit in the
+// same place on any layout)
+const KEY_ACTIONS = [
+    { id: 'moveLeft', label: 'Move Left', key: 'ArrowLeft' },
+    { id: 'moveRight', label: 'Move Right', key: 'ArrowRight' },
+    { id: 'moveUp', label: 'Move Up', key: 'ArrowUp' },
+    { id: 'moveDown', label: 'Move Down', key: 'ArrowDown' },
+    { id: 'powerUp', label: 'More Power', key: 'KeyW' },
+    { id: 'powerDown', label: 'Less Power', key: 'KeyS' },
+    { id: 'shoot', label: 'Shoot', key: 'Space' },
+    { id: 'aimLeft', label: 'Aim Left', key: 'KeyA' },
+    { id: 'aimRight', label: 'Aim Right', key: 'KeyD' },
+    { id: 'arcDown', label: 'Flatter Arc', key: 'KeyQ' },
+    { id: 'arcUp', label: 'Higher Arc', key: 'KeyE' },
+    { id: 'backspin', label: 'Change Backspin', key: 'KeyB' },
+    { id: 'reset', label: 'Reset Ball', key: 'KeyR' },
+    { id: 'grab', label: 'Grab Loose Ball', key: 'KeyX' },
+    { id: 'meter', label: 'Toggle Shot Meter', key: 'KeyM' },
+    { id: 'heatMap', label: 'Heat Map Overlay', key: 'KeyH' },
+    { id: 'shotChart', label: 'Shot Chart', key: 'KeyC' },
+    { id: 'replay', label: 'Replay Last Shot', key: 'KeyL' },
+    { id: 'modeMenu', label: 'Game Mode Menu', key: 'KeyG' },
+    { id: 'chance', label: 'Take a Chance (Around the World)', key: 'KeyK' },
+    { id: 'defender', label: 'Cycle Defender', key: 'KeyV' },
+    { id: 'predictor', label: 'Toggle Shot Predictor', key: 'KeyP' },
+    { id: 'time', label: 'Change Time of Day', key: 'KeyT' },
+    { id: 'camera', label: 'Next Camera View', key: 'KeyN' },
+    { id: 'orbit', label: 'Toggle Camera Controls', key: 'KeyO' },
+    { id: 'net', label: 'Animate Net', key: 'KeyI' },
+    { id: 'fullscreen', label: 'Toggle Fullscreen', key: 'KeyF' }
+];
+
+// Rows of the controls panel; pad is the glyph shown instead once a gamepad is in use, and
+// key marks the fixed keys that can't be rebound
+const CONTROL_PANEL_ROWS = [
+    { key: 'ESC', label: 'Pause & Settings', pad: 'START' },
+    { actions: ['moveLeft', 'moveRight', 'moveUp', 'moveDown'], label: 'Move Basketball', pad: 'L-STICK' },
+    { actions: ['powerUp', 'powerDown'], label: 'Adjust Shot Power', pad: 'LT/RT' },
+    { actions: ['shoot'], label: 'Shoot Basketball', pad: 'Ⓐ' },
+    { actions: ['meter'], label: 'Toggle Shot Meter' },
+    { actions: ['heatMap'], label: 'Heat Map Overlay' },
+    { actions: ['shotChart'], label: 'Shot Chart' },
+    { actions: ['replay'], label: 'Replay Last Shot' },
+    { actions: ['modeMenu'], label: 'Game Mode Menu' },
+    { actions: ['grab'], label: 'Grab Loose Ball', pad: 'Ⓧ' },
+    { actions: ['camera'], label: 'Next Camera View', pad: 'RB' },
+    { actions: ['defender'], label: 'Defender Off/Easy/Medium/Hard' },
+    { actions: ['aimLeft', 'aimRight'], label: 'Aim Left/Right', pad: 'R-STICK' },
+    { actions: ['arcDown', 'arcUp'], label: 'Flatter/Higher Arc', pad: 'D-PAD ↓/↑' },
+    { actions: ['backspin'], label: 'Change Backspin', pad: 'LB' },
+    { actions: ['predictor'], label: 'Toggle Shot Predictor', pad: 'Ⓨ' },
+    { actions: ['time'], label: 'Change Time of Day', pad: 'VIEW' },
+    { actions: ['reset'], label: 'Reset Ball Position', pad: 'Ⓑ' },
+    { actions: ['orbit'], label: 'Toggle Camera Controls' },
+    { actions: ['net'], label: 'Animate Net' },
+    { actions: ['fullscreen'], label: 'Toggle Fullscreen' }
+];
+
+const KEY_CODE_NAMES = {
+    Space: 'SPACE',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Enter: 'ENTER',
+    Tab: 'TAB',
+    Backspace: 'BACKSPACE',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL',
+    ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT',
+    AltRight: 'R-ALT'
+};
+
+function formatKeyCode(code) {
+    if (KEY_CODE_NAMES[code]) return KEY_CODE_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `NUM ${code.slice(6)}`;
+    return code.toUpperCase();
+}
+
+// Key labels come from the keyboard and localStorage, so '<' or '&' must not be read as markup
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// One key per action, saved to localStorage. Each binding keeps the label of the key as it
+// was typed, so an AZERTY Z shows as Z even though its code is KeyW.
+class KeyBindings {
+    constructor() {
+        this.bindings = this.load();
+        this.rebuildLookup();
+        this.listeningFor = null; // Action waiting for its new key
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'game-ui mode-overlay key-bindings-panel';
+        document.body.appendChild(this.panel);
+    }
+
+    getDefaults() {
+        const bindings = {};
+        KEY_ACTIONS.forEach(action => {
+            bindings[action.id] = { code: action.key, label: formatKeyCode(action.key) };
+        });
+        return bindings;
+    }
+
+    load() {
+        const bindings = this.getDefaults();
+        try {
+            const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([id, binding]) => {
+                if (bindings[id] && binding && typeof binding.code === 'string') {
+                    bindings[id] = { code: binding.code, label: String(binding.label || formatKeyCode(binding.code)) };
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load key bindings:', error);
+            return this.getDefaults();
+        }
+
+        // A hand-edited or outdated save could put two actions on one key
+        const codes = Object.values(bindings).map(binding => binding.code);
+        if (new Set(codes).size !== codes.length) {
+            console.warn('Saved key bindings conflict, using the defaults');
+            return this.getDefaults();
+        }
+        return bindings;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    rebuildLookup() {
+        this.actionsByCode = {};
+        Object.entries(this.bindings).forEach(([id, binding]) => {
+            this.actionsByCode[binding.code] = id;
+        });
+    }
+
+    getAction(code) {
+        return this.actionsByCode[code] || null;
+    }
+
+    getLabel(actionId) {
+        return this.bindings[actionId].label;
+    }
+
+    getLabels(actionIds) {
+        return actionIds.map(id => this.getLabel(id)).join('/');
+    }
+
+    getActionName(actionId) {
+        return KEY_ACTIONS.find(action => action.id === actionId).label;
+    }
+
+    bind(actionId, code, label) {
+        // Taking a key from another action hands that action this one's old key, so no
+        // action is ever left without a key. Returns the action that was swapped, if any.
+        const conflict = this.getAction(code);
+        if (conflict && conflict !== actionId) {
+            this.bindings[conflict] = this.bindings[actionId];
+        }
+        this.bindings[actionId] = { code, label };
+
+        this.rebuildLookup();
+        this.save();
+        this.refreshPrompts();
+        return conflict !== actionId ? conflict : null;
+    }
+
+    resetToDefaults() {
+        this.bindings = this.getDefaults();
+        this.rebuildLookup();
+        this.save();
+        this.refreshPrompts();
+        this.render('↩️ Default keys restored');
+    }
+
+    refreshPrompts() {
+        ui.renderControls();
+        if (ui.cameraLabel) ui.updateCameraPreset(ui.cameraLabel);
+    }
+
+    isOpen() {
+        return this.panel.style.display === 'block';
+    }
+
+    open(onClose = null) {
+        // Keys held when the panel opens would otherwise stay down
+        gameState.heldActions = {};
+        this.listeningFor = null;
+        this.onClose = onClose; // Lets the pause menu take over again afterwards
+        this.render('Click an action, then press its new key. ESC cancels.');
+        this.panel.style.display = 'block';
+    }
+
+    close() {
+        this.listeningFor = null;
+        gameState.heldActions = {};
+        this.panel.style.display = 'none';
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
+    }
+
+    render(status, conflict = null) {
+        const rows = KEY_ACTIONS.map(action => `
+            <div class="binding-row${action.id === conflict ? ' binding-conflict' : ''}">
+                <span>${action.label}</span>
+                <button class="binding-key${action.id === this.listeningFor ? ' binding-listening' : ''}" data-action="${action.id}">
+                    ${action.id === this.listeningFor ? 'Press a key…' : escapeHtml(this.getLabel(action.id))}
+                </button>
+            </div>
+        `).join('');
+
+        this.panel.innerHTML = `
+            <h2>⌨️ KEY BINDINGS</h2>
+            <div class="binding-status">${escapeHtml(status)}</div>
+            ${rows}
+        `;
+        this.panel.querySelectorAll('.binding-key').forEach(button => {
+            button.addEventListener('click', () => {
+                this.listeningFor = button.dataset.action;
+                this.render(`Press the new key for ${this.getActionName(this.listeningFor)} · ESC cancels`);
+            });
+        });
+
+        const reset = document.createElement('button');
+        reset.className = 'mode-option';
+        reset.textContent = '↩️ Reset to defaults';
+        reset.addEventListener('click', () => this.resetToDefaults());
+        const done = document.createElement('button');
+        done.className = 'mode-option';
+        done.textContent = '✅ Done (ESC)';
+        done.addEventListener('click', () => this.close());
+        this.panel.append(reset, done);
+    }
+
+    handleKey(e) {
+        // Pad buttons and touch buttons can't be bound to keyboard actions
+        if (e.synthetic) return;
+        e.preventDefault();
+
+        if (!this.listeningFor) {
+            if (e.code === 'Escape') this.close();
+            return;
+        }
+
+        // ESC is kept free for backing out of menus
+        if (e.code === 'Escape') {
+            this.listeningFor = null;
+            this.render('Rebind cancelled');
+            return;
+        }
+
+        const actionId = this.listeningFor;
+        this.listeningFor = null;
+        const label = e.key && e.key.trim().length === 1 ? e.key.toUpperCase() : formatKeyCode(e.code);
+        const conflict = this.bind(actionId, e.code, label);
+
+        const name = this.getActionName(actionId);
+        this.render(conflict ?
+            `⚠️ ${label} was on ${this.getActionName(conflict)} - swapped, so ${this.getActionName(conflict)} is now on ${this.getLabel(conflict)}` :
+            `✅ ${name} is now on ${label}`, conflict);
+    }
+}
+
+// =============================================================================
+// GAMEPAD INPUT
+// =============================================================================
+
+function applyStickDeadzone(x, y) {
+    // Radial deadzone, rescaled so speed still starts from zero at its edge
+    const deadzone = gameSettings.get('stickDeadzone');
+    const length = Math.hypot(x, y);
+    if (length < deadzone) return new THREE.Vector2(0, 0);
+    const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+    return new THREE.Vector2(x * scale, y * scale);
+}
+
+function readTrigger(button) {
+    return button && button.value > GAMEPAD_TRIGGER_DEADZONE ? button.value : 0;
+}
+
+// Polls connected gamepads once per frame. Sticks and triggers feed the analog fields in
+// gameState; buttons are replayed as key presses. In local multiplayer each player gets the
+// pad matching their turn order when there are enough pads, otherwise any pad will do.
+class GamepadInput {
+    constructor() {
+        this.pressed = {}; // Pad index -> button states from the last poll
+        this.heldActions = new Set(); // Actions currently held down by a pad button
+        this.menuFocus = 0;
+
+        window.addEventListener('gamepadconnected', e => {
+            ui.updateGameStatus(`🎮 Controller ${e.gamepad.index + 1} connected`);
+        });
+        window.addEventListener('gamepaddisconnected', e => {
+            delete this.pressed[e.gamepad.index];
+            ui.updateGameStatus(`🎮 Controller ${e.gamepad.index + 1} disconnected`);
+        });
+    }
+
+    getPads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    }
+
+    getControllingPads(pads) {
+        const assigned = gameState.players.length > 1 && pads.length > 1 ? pads[gameState.currentPlayerIndex] : null;
+        return assigned ? [assigned] : pads;
+    }
+
+    poll() {
+        const pads = this.getPads();
+        const controlling = this.getControllingPads(pads);
+
+        const move = new THREE.Vector2();
+        let aim = 0;
+        let power = 0;
+        controlling.forEach(pad => {
+            move.add(applyStickDeadzone(pad.axes[0] || 0, pad.axes[1] || 0));
+            aim += applyStickDeadzone(pad.axes[2] || 0, 0).x;
+            power += readTrigger(pad.buttons[7]) - readTrigger(pad.buttons[6]);
+        });
+        gameState.padMove.copy(move.clampLength(0, 1));
+        gameState.padAim = THREE.MathUtils.clamp(aim, -1, 1);
+        gameState.padPower = THREE.MathUtils.clamp(power, -1, 1);
+
+        let active = move.lengthSq() > 0 || aim !== 0 || power !== 0;
+        pads.forEach(pad => {
+            const previous = this.pressed[pad.index] || [];
+            const current = pad.buttons.map(button => button.pressed);
+            current.forEach((isPressed, buttonIndex) => {
+                if (isPressed && !previous[buttonIndex] && controlling.includes(pad)) {
+                    active = true;
+                    this.press(buttonIndex);
+                } else if (!isPressed && previous[buttonIndex]) {
+                    this.release(buttonIndex);
+                }
+            });
+            this.pressed[pad.index] = current;
+        });
+
+        if (active) ui.setPromptStyle('pad');
+    }
+
+    press(buttonIndex) {
+        // Menus have no key hints for a pad: the D-pad moves a highlight and A picks it
+        const menu = this.getOpenMenu();
+        if (menu && [0, 12, 13].includes(buttonIndex)) {
+            this.navigateMenu(menu, buttonIndex);
+            return;
+        }
+
+        const action = GAMEPAD_BUTTON_ACTIONS[buttonIndex];
+        if (!action) return;
+        this.heldActions.add(action);
+        onKeyDown(createSyntheticKeyEvent(action));
+    }
+
+    release(buttonIndex) {
+        const action = GAMEPAD_BUTTON_ACTIONS[buttonIndex];
+        if (!action || !this.heldActions.has(action)) return;
+        this.heldActions.delete(action);
+        onKeyUp(createSyntheticKeyEvent(action));
+    }
+
+    getOpenMenu() {
+        return [keyBindings.panel, pauseMenu.overlay, gameModes.overlay].find(menu => menu.style.display === 'block') || null;
+    }
+
+    navigateMenu(menu, buttonIndex) {
+        const options = Array.from(menu.querySelectorAll('.mode-option'));
+        if (options.length === 0) return;
+
+        if (buttonIndex === 0) {
+            options[Math.min(this.menuFocus, options.length - 1)].click();
+            this.menuFocus = 0;
+            return;
+        }
+
+        const step = buttonIndex === 12 ? -1 : 1;
+        this.menuFocus = (Math.min(this.menuFocus, options.length - 1) + step + options.length) % options.length;
+        options.forEach((option, index) => option.classList.toggle('pad-focus', index === this.menuFocus));
+    }
+}
+
+// =============================================================================
+// TOUCH INPUT
+// =============================================================================
+
+// Phones and tablets get a joystick, a few shortcut buttons and drag-to-shoot on the canvas.
+// A touch that starts on the ball belongs to the flick and is kept away from OrbitControls;
+// any other touch on the canvas orbits the camera as before.
+class TouchInput {
+    constructor() {
+        this.enabled = false;
+        this.joystickPointer = null;
+        this.flick = null; // { pointerId, startX, startY, savedHeading, savedPower } while dragging
+        this.orbitPointers = new Set(); // Canvas touches left to OrbitControls
+
+        this.createControls();
+
+        // Capture on window runs before OrbitControls' listener on the canvas, so a claimed
+        // touch can be stopped before the camera ever sees it
+        window.addEventListener('pointerdown', e => this.onPointerDown(e), true);
+        window.addEventListener('pointermove', e => this.onPointerMove(e), true);
+        window.addEventListener('pointerup', e => this.onPointerUp(e), true);
+        window.addEventListener('pointercancel', e => this.onPointerUp(e, true), true);
+
+        if ('ontouchstart' in window || navigator.maxTouchPoints > 0) this.enable();
+    }
+
+    createControls() {
+        this.joystick = document.createElement('div');
+        this.joystick.className = 'touch-joystick';
+        this.knob = document.createElement('div');
+        this.knob.className = 'touch-knob';
+        this.joystick.appendChild(this.knob);
+        document.body.appendChild(this.joystick);
+
+        this.buttons = document.createElement('div');
+        this.buttons.className = 'touch-buttons';
+        TOUCH_BUTTONS.forEach(({ action, label, title }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('pointerdown', e => {
+                e.preventDefault();
+                onKeyDown(createSyntheticKeyEvent(action));
+                onKeyUp(createSyntheticKeyEvent(action));
+            });
+            this.buttons.appendChild(button);
+        });
+        document.body.appendChild(this.buttons);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        document.body.classList.add('touch-ui');
+        ui.setCompactLayout();
+        ui.setPromptStyle('touch');
+    }
+
+    onPointerDown(e) {
+        if (e.pointerType !== 'touch') return;
+        this.enable();
+        ui.setPromptStyle('touch');
+
+        if (e.target === this.joystick && this.joystickPointer === null) {
+            this.joystickPointer = e.pointerId;
+            this.moveJoystick(e);
+            return;
+        }
+
+        if (e.target !== renderer.domElement) return;
+
+        // Once a flick is underway, extra fingers are ignored rather than starting an orbit
+        if (this.flick) {
+            e.stopPropagation();
+            return;
+        }
+
+        if (this.orbitPointers.size === 0 && this.canFlick() && this.isNearBall(e.clientX, e.clientY)) {
+            e.stopPropagation();
+            this.flick = {
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                savedHeading: gameState.aimHeading,
+                savedPower: gameState.shotPower
+            };
+            return;
+        }
+
+        this.orbitPointers.add(e.pointerId);
+    }
+
+    onPointerMove(e) {
+        if (e.pointerId === this.joystickPointer) {
+            this.moveJoystick(e);
+            return;
+        }
+
+        if (this.flick && e.pointerId === this.flick.pointerId) {
+            e.stopPropagation();
+            this.aimFlick(e.clientX - this.flick.startX, e.clientY - this.flick.startY);
+        }
+    }
+
+    onPointerUp(e, cancelled = false) {
+        this.orbitPointers.delete(e.pointerId);
+
+        if (e.pointerId === this.joystickPointer) {
+            this.joystickPointer = null;
+            gameState.touchMove.set(0, 0);
+            this.knob.style.transform = '';
+            return;
+        }
+
+        if (!this.flick || e.pointerId !== this.flick.pointerId) return;
+        e.stopPropagation();
+
+        const flick = this.flick;
+        this.flick = null;
+        const dragLength = Math.hypot(e.clientX - flick.startX, e.clientY - flick.startY);
+        if (cancelled || dragLength < TOUCH_MIN_FLICK || !this.canFlick()) {
+            gameState.aimHeading = flick.savedHeading;
+            gameState.shotPower = flick.savedPower;
+            ui.updatePower(gameState.shotPower);
+            return;
+        }
+
+        this.aimFlick(e.clientX - flick.startX, e.clientY - flick.startY);
+        InputSystem.shootBall();
+    }
+
+    moveJoystick(e) {
+        const rect = this.joystick.getBoundingClientRect();
+        const offset = new THREE.Vector2(
+            e.clientX - (rect.left + rect.width / 2),
+            e.clientY - (rect.top + rect.height / 2)
+        ).clampLength(0, TOUCH_JOYSTICK_RADIUS);
+
+        this.knob.style.transform = `translate(${offset.x}px, ${offset.y}px)`;
+        gameState.touchMove.copy(applyStickDeadzone(offset.x / TOUCH_JOYSTICK_RADIUS, offset.y / TOUCH_JOYSTICK_RADIUS));
+    }
+
+    canFlick() {
+        return !pauseMenu.active && !replaySystem.active && !gameModes.isOverlayOpen() && !keyBindings.isOpen() && !aiShooter.active &&
+            !gameState.isShooting && !shotMeter.charging;
+    }
+
+    isNearBall(x, y) {
+        const projected = gameState.ballPosition.clone().project(camera);
+        if (projected.z > 1) return false; // Behind the camera
+
+        const ballX = (projected.x + 1) / 2 * window.innerWidth;
+        const ballY = (1 - projected.y) / 2 * window.innerHeight;
+        return Math.hypot(x - ballX, y - ballY) <= TOUCH_GRAB_RADIUS;
+    }
+
+    aimFlick(dragX, dragY) {
+        // Slingshot: the shot goes opposite the drag, and a longer pull means more power
+        const dragLength = Math.hypot(dragX, dragY);
+        if (dragLength < TOUCH_MIN_FLICK) return;
+
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1); // Looking straight down
+        forward.normalize();
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+
+        // Dragging down the screen sends the ball up it, i.e. away from the camera
+        const direction = right.multiplyScalar(-dragX).addScaledVector(forward, dragY);
+        gameState.aimHeading = Math.atan2(direction.z, direction.x);
+
+        const pull = Math.min(1, dragLength / (TOUCH_FULL_POWER_DRAG * Math.min(window.innerWidth, window.innerHeight)));
+        gameState.shotPower = MIN_SHOT_POWER + pull * (MAX_SHOT_POWER - MIN_SHOT_POWER);
+        ui.updatePower(gameState.shotPower);
+    }
+}
+
+function createSyntheticKeyEvent(action) {
+    // Gamepad buttons and touch buttons reuse the keyboard handlers with these stand-in events
+    return { action, code: '', repeat: false, synthetic: true, preventDefault() {} };
+}
+
+// =============================================================================
+// AIM SYSTEM
+// =============================================================================
+
+class AimSystem {
+    static getAimOffset() {
+        const hoopIndex = findAimedHoopIndex(world, gameState.ballPosition, gameState.aimHeading);
+        const toHoop = headingToHoop(world, gameState.ballPosition, hoopIndex);
+        const offset = Math.atan2(Math.sin(gameState.aimHeading - toHoop), Math.cos(gameState.aimHeading - toHoop));
+        return { hoopIndex, offset };
+    }
+
+    static createArrow() {
+        aimArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1.6, 0xffd700, 0.3, 0.18);
+        scene.add(aimArrow);
+    }
+
+    static update() {
+        const aim = this.getAimOffset();
+        ui.updateAim(world.hoops[aim.hoopIndex].side, THREE.MathUtils.radToDeg(aim.offset), gameState.releaseAngle);
+
+        if (!aimArrow) return;
+        aimArrow.visible = !gameState.isShooting;
+        if (!aimArrow.visible) return;
+
+        // Arrow leaves the ball along the heading, tilted up by the release angle
+        const angle = THREE.MathUtils.degToRad(gameState.releaseAngle);
+        const direction = new THREE.Vector3(
+            Math.cos(gameState.aimHeading) * Math.cos(angle),
+            Math.sin(angle),
+            Math.sin(gameState.aimHeading) * Math.cos(angle)
+        );
+        aimArrow.position.copy(ballGroup.position);
+        aimArrow.setDirection(direction);
+    }
+}
+
+// =============================================================================
+// LIVE BALL REBOUNDS
+// =============================================================================
+
+// After the release the arrows move a rebounder (a ring on the floor) instead of the ball;
+// X grabs the loose ball once it is slow and low enough, so play doesn't wait for it to stop.
+class ReboundSystem {
+    constructor() {
+        this.active = false;
+        this.canCatch = false;
+        this.position = new THREE.Vector3();
+
+        const ringGeometry = new THREE.RingGeometry(PICKUP_REACH - 0.08, PICKUP_REACH, 40);
+        this.ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        this.marker = new THREE.Mesh(ringGeometry, this.ringMaterial);
+        this.marker.rotation.x = -Math.PI / 2;
+        this.marker.visible = false;
+        scene.add(this.marker);
+    }
+
+    startChase(origin) {
+        // Modes that bring the ball back themselves keep doing so
+        if (gameModes.current.autoRebound || gameModes.current.lockPosition) return;
+
+        this.active = true;
+        this.canCatch = false;
+        this.position.set(origin.x, COURT_FLOOR_Y + LINES_Y_OFFSET * 3, origin.z);
+    }
+
+    update(deltaTime) {
+        if (!this.active || !gameState.isShooting) {
+            this.active = false;
+            this.marker.visible = false;
+            return;
+        }
+
+        const move = new THREE.Vector3();
+        if (gameState.heldActions.moveLeft) move.x -= 1;
+        if (gameState.heldActions.moveRight) move.x += 1;
+        if (gameState.heldActions.moveUp) move.z -= 1;
+        if (gameState.heldActions.moveDown) move.z += 1;
+        if (move.lengthSq() > 0) move.normalize();
+        const analogMove = InputSystem.getAnalogMove();
+        move.x += analogMove.x;
+        move.z += analogMove.y;
+        if (move.lengthSq() > 0) {
+            this.position.addScaledVector(move.clampLength(0, 1), gameSettings.get('moveSpeed') * deltaTime);
+            this.position.x = THREE.MathUtils.clamp(this.position.x, -COURT_LENGTH / 2, COURT_LENGTH / 2);
+            this.position.z = THREE.MathUtils.clamp(this.position.z, -COURT_WIDTH / 2, COURT_WIDTH / 2);
+        }
+
+        const ball = gameState.ballPosition;
+        const reach = Math.hypot(ball.x - this.position.x, ball.z - this.position.z);
+        this.canCatch = reach <= PICKUP_REACH && ball.y <= PICKUP_HEIGHT &&
+            gameState.ballVelocity.length() <= CATCHABLE_SPEED;
+
+        this.marker.position.copy(this.position);
+        this.marker.visible = true;
+        this.ringMaterial.color.setHex(this.canCatch ? 0x00ff66 : 0xffffff);
+    }
+
+    tryPickUp() {
+        if (!this.active || !this.canCatch) return;
+
+        // Out of reach of the rim by now, so a shot still up is a miss
+        if (gameState.lastShotResult === '') resolveMissedShot();
+
+        InputSystem.placeBall(gameState.ballPosition.x, gameState.ballPosition.z);
+        gameState.aimHeading = headingToHoop(world, gameState.ballPosition, findNearestHoopIndex(world, gameState.ballPosition));
+        this.active = false;
+        this.marker.visible = false;
+        ui.updateGameStatus('🙌 Rebound! Ball secured - put it back up!');
+    }
+}
+
+// =============================================================================
+// TIMING SHOT METER
+// =============================================================================
+
+class ShotMeter {
+    constructor() {
+        this.mode = 'slider'; // 'slider' (W/S power) or 'meter' (hold and release SPACE)
+        this.charging = false;
+        this.chargeTime = 0;
+        this.idealPower = 0.5;
+    }
+
+    toggleMode() {
+        this.mode = this.mode === 'slider' ? 'meter' : 'slider';
+        this.charging = false;
+        ui.updateShotMeter(this.mode === 'meter', this.idealPower);
+        ui.updateGameStatus(this.mode === 'meter' ?
+            `⏱️ Shot meter ON: hold ${keyBindings.getLabel('shoot')} and release in the green window!` :
+            `🎚️ Shot meter OFF: set power with ${keyBindings.getLabels(['powerUp', 'powerDown'])}`);
+    }
+
+    startCharge() {
+        if (this.mode !== 'meter' || this.charging || gameState.isShooting || aiShooter.active || !gameModes.canShoot()) return;
+
+        this.charging = true;
+        this.chargeTime = 0;
+        gameState.shotPower = MIN_SHOT_POWER;
+        ui.updatePower(gameState.shotPower);
+    }
+
+    update(deltaTime) {
+        // Triangle wave: fills from minimum to maximum power and drains back, repeating
+        this.chargeTime += deltaTime;
+        const phase = (this.chargeTime / METER_CYCLE_TIME) % 1;
+        const fill = 1 - Math.abs(1 - 2 * phase);
+        gameState.shotPower = MIN_SHOT_POWER + fill * (MAX_SHOT_POWER - MIN_SHOT_POWER);
+        ui.updatePower(gameState.shotPower);
+    }
+
+    release() {
+        if (!this.charging) return;
+        this.charging = false;
+
+        const grade = this.gradeFor(gameState.shotPower);
+        const releaseGrade = grade ? grade.name : (gameState.shotPower < this.idealPower ? 'EARLY' : 'LATE');
+
+        InputSystem.shootBall({
+            powerErrorScale: grade ? grade.powerErrorScale : 1.0,
+            releaseGrade
+        });
+    }
+
+    // Grade for a release at `power`, or undefined outside the perfect and good windows
+    gradeFor(power) {
+        const miss = Math.abs(power - this.idealPower);
+        return RELEASE_GRADES.find(candidate => miss <= candidate.maxMiss);
+    }
+
+    refresh() {
+        // Green window follows the ideal power for the current spot and aim, or the finish's touch on a drive
+        if (InputSystem.pendingFinish()) {
+            this.idealPower = FINISH_IDEAL_POWER;
+        } else {
+            const shot = computeShot(world, gameState.ballPosition, gameState.shotPower, {
+                heading: gameState.aimHeading,
+                releaseAngle: gameState.releaseAngle
+            });
+            this.idealPower = shot.idealPower;
+        }
+        ui.updateShotMeter(this.mode === 'meter', this.idealPower);
+    }
+}
+
+// =============================================================================
+// SHOT ENDINGS & SWISH STREAK
+// =============================================================================
+
+const SWISH_STORAGE_KEY = 'superArena.swish';
+const SWISH_BONUS_POINTS = 1; // Extra points for a swish while the bonus rule is on
+
+// How each kind of make is announced and celebrated
+const SHOT_ENDING_STYLES = {
+    swish: { text: 'SWISH! 💦', status: 'Nothing but net!', colors: [0x00e5ff, 0xffffff, 0x66ffff, 0x00bfff] },
+    bank: { text: 'BANK SHOT! 🪞', status: 'Off the glass!', colors: [0xb388ff, 0xffffff, 0x7c4dff, 0xe040fb] },
+    'rim-in': { text: 'RIM-IN! 😅', status: 'Friendly roll!', colors: [0xff6b35, 0xffd700, 0xff4500, 0xffaa00] }
+};
+
+// Tells swishes, bank shots and rim-ins apart from the current shot's contact history,
+// keeps the run of consecutive swishes and applies the optional swish bonus.
+class SwishTracker {
+    constructor() {
+        const saved = this.load();
+        this.bonusEnabled = saved.bonusEnabled ?? false;
+        this.best = saved.best ?? 0;
+        this.streak = 0;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(SWISH_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SWISH_STORAGE_KEY, JSON.stringify({ bonusEnabled: this.bonusEnabled, best: this.best }));
+        } catch (error) {
+            console.warn('Swish settings could not be saved:', error);
+        }
+    }
+
+    // Ending of the make in progress; dunks go through clean but are their own thing
+    getEnding() {
+        return gameState.finishType === 'dunk' ? 'dunk' : classifyShotEnding(true, gameState.shotContacts);
+    }
+
+    getBonusPoints() {
+        return this.bonusEnabled && this.getEnding() === 'swish' ? SWISH_BONUS_POINTS : 0;
+    }
+
+    toggleBonus() {
+        this.bonusEnabled = !this.bonusEnabled;
+        this.save();
+        ui.updateGameStatus(this.bonusEnabled ?
+            `💦 Swish bonus ON: swishes score +${SWISH_BONUS_POINTS}` :
+            '💦 Swish bonus OFF');
+    }
+
+    recordMake(ending) {
+        this.streak = ending === 'swish' ? this.streak + 1 : 0;
+        if (this.streak > this.best) {
+            this.best = this.streak;
+            this.save();
+        }
+        ui.updateSwishStreak(this.streak, this.best);
+    }
+
+    recordMiss() {
+        this.streak = 0;
+        ui.updateSwishStreak(this.streak, this.best);
+    }
+}
+
+// =============================================================================
+// SHOT LOG & SHOT CHART
+// =============================================================================
+
+const SHOT_LOG_STORAGE_KEY = 'superArena.shotLog';
+const SHOT_LOG_LIMIT = 500;
+const SHOT_ZONES = {
+    paint: 'Paint',
+    midRange: 'Mid-Range',
+    cornerThree: 'Corner 3',
+    aboveBreakThree: 'Above the Break 3'
+};
+
+class ShotLog {
+    constructor() {
+        this.entries = this.load();
+        this.currentEntry = null;
+        this.pendingShot = false;
+        this.chartScale = 10; // Canvas pixels per meter
+
+        this.createPanel();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SHOT_LOG_STORAGE_KEY));
+            if (saved === null) return [];
+            if (!Array.isArray(saved)) throw new Error('not a list of shots');
+
+            // Drop anything the chart can't place or count, e.g. entries from an older or hand-edited log
+            const entries = saved.filter(ShotLog.isValidEntry);
+            if (entries.length < saved.length) {
+                console.warn(`Shot log: skipped ${saved.length - entries.length} unreadable entries`);
+            }
+            return entries.slice(-SHOT_LOG_LIMIT);
+        } catch (error) {
+            console.warn('Shot log could not be read, starting fresh:', error);
+            return [];
+        }
+    }
+
+    static isValidEntry(entry) {
+        return entry !== null && typeof entry === 'object' &&
+            entry.origin !== null && typeof entry.origin === 'object' &&
+            Number.isFinite(entry.origin.x) && Number.isFinite(entry.origin.z) &&
+            Object.prototype.hasOwnProperty.call(SHOT_ZONES, entry.zone) &&
+            typeof entry.made === 'boolean' &&
+            typeof entry.shotType === 'string';
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SHOT_LOG_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Shot log could not be saved:', error);
+        }
+    }
+
+    startShot(tracked = true) {
+        // Untracked shots (the computer's) still clear the previous entry so they can't upgrade it
+        this.pendingShot = tracked;
+        this.currentEntry = null;
+    }
+
+    recordShot(made) {
+        // A ball that drops after the miss was called upgrades the entry instead of adding one
+        if (!this.pendingShot) {
+            if (made && this.currentEntry && !this.currentEntry.made) {
+                this.currentEntry.made = true;
+                this.currentEntry.ending = classifyShotEnding(true, gameState.shotContacts);
+                this.save();
+                this.renderPanel();
+            }
+            return;
+        }
+        this.pendingShot = false;
+
+        const origin = { x: gameState.shotOrigin.x, z: gameState.shotOrigin.z };
+        this.currentEntry = {
+            origin,
+            targetHoop: world.hoops[gameState.targetHoopIndex].side,
+            power: gameState.shotPower,
+            shotType: gameModes.current.freeThrows ? 'FT' :
+                (gameState.finishType ? gameState.finishType.toUpperCase() : (gameState.isThreePointer ? '3PT' : '2PT')),
+            zone: classifyShotZone(world, origin, gameState.targetHoopIndex),
+            made,
+            ending: classifyShotEnding(made, gameState.shotContacts),
+            time: Date.now()
+        };
+
+        this.entries.push(this.currentEntry);
+        if (this.entries.length > SHOT_LOG_LIMIT) this.entries.shift();
+        this.save();
+        this.renderPanel();
+    }
+
+    clear() {
+        this.entries = [];
+        this.currentEntry = null;
+        this.save();
+        this.renderPanel();
+        ui.updateGameStatus('🗑️ Shot log cleared');
+    }
+
+    getZoneStats() {
+        const stats = {};
+        Object.keys(SHOT_ZONES).forEach(zone => { stats[zone] = { made: 0, attempts: 0 }; });
+
+        // Free throws have their own percentage and stay out of the field-goal zones
+        this.entries.filter(entry => entry.shotType !== 'FT').forEach(entry => {
+            stats[entry.zone].attempts++;
+            if (entry.made) stats[entry.zone].made++;
+        });
+
+        return stats;
+    }
+
+    getFinishRows() {
+        // Layups and dunks are counted in the paint zone too, and broken out here
+        return [['LAYUP', 'Layups'], ['DUNK', 'Dunks']].map(([shotType, label]) => {
+            const finishes = this.entries.filter(entry => entry.shotType === shotType);
+            if (finishes.length === 0) return '';
+            const made = finishes.filter(entry => entry.made).length;
+            return `<div class="zone-row"><span>${label}</span><span>${made}/${finishes.length} (${Math.round((made / finishes.length) * 100)}%)</span></div>`;
+        }).join('');
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'game-ui shot-chart-panel';
+        this.panel.innerHTML = `
+            <h3>📊 SHOT CHART</h3>
+            <canvas id="shot-chart-canvas" width="${COURT_LENGTH * this.chartScale}" height="${COURT_WIDTH * this.chartScale}"></canvas>
+            <div id="shot-chart-zones" style="margin-top: 10px;"></div>
+            <button id="shot-chart-clear">Clear Log</button>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.canvas = this.panel.querySelector('#shot-chart-canvas');
+        this.panel.querySelector('#shot-chart-clear').addEventListener('click', () => this.clear());
+    }
+
+    togglePanel() {
+        const visible = this.panel.style.display !== 'block';
+        this.panel.style.display = visible ? 'block' : 'none';
+        if (visible) this.renderPanel();
+    }
+
+    renderPanel() {
+        if (this.panel.style.display !== 'block') return;
+
+        this.drawChart();
+
+        const stats = this.getZoneStats();
+        this.panel.querySelector('#shot-chart-zones').innerHTML = Object.entries(SHOT_ZONES).map(([zone, label]) => {
+            const { made, attempts } = stats[zone];
+            const accuracy = attempts > 0 ? Math.round((made / attempts) * 100) : 0;
+            return `<div class="zone-row"><span>${label}</span><span>${made}/${attempts} (${accuracy}%)</span></div>`;
+        }).join('') + this.getFinishRows();
+    }
+
+    drawChart() {
+        const context = this.canvas.getContext('2d');
+        const scale = this.chartScale;
+        const toCanvas = (x, z) => [(x + COURT_LENGTH / 2) * scale, (z + COURT_WIDTH / 2) * scale];
+
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        context.lineWidth = 1;
+
+        // Court outline, center line and circle
+        context.strokeRect(0.5, 0.5, this.canvas.width - 1, this.canvas.height - 1);
+        context.beginPath();
+        context.moveTo(...toCanvas(0, -COURT_WIDTH / 2));
+        context.lineTo(...toCanvas(0, COURT_WIDTH / 2));
+        context.stroke();
+        context.beginPath();
+        context.arc(...toCanvas(0, 0), 1.8 * scale, 0, Math.PI * 2);
+        context.stroke();
+
+        // Lane and three-point line at each end
+        const arcBreak = Math.sqrt(THREE_POINT_ARC_RADIUS ** 2 - THREE_POINT_CORNER_Z ** 2);
+        const arcHalfAngle = Math.asin(THREE_POINT_CORNER_Z / THREE_POINT_ARC_RADIUS);
+        world.hoops.forEach(hoop => {
+            const baselineX = hoop.direction * COURT_LENGTH / 2;
+            const [laneX, laneZ] = toCanvas(Math.min(baselineX, baselineX - hoop.direction * LANE_LENGTH), -LANE_WIDTH / 2);
+            context.strokeRect(laneX, laneZ, LANE_LENGTH * scale, LANE_WIDTH * scale);
+
+            [-1, 1].forEach(sign => {
+                context.beginPath();
+                context.moveTo(...toCanvas(baselineX, sign * THREE_POINT_CORNER_Z));
+                context.lineTo(...toCanvas(hoop.rim.x - hoop.direction * arcBreak, sign * THREE_POINT_CORNER_Z));
+                context.stroke();
+            });
+
+            const facing = hoop.direction > 0 ? Math.PI : 0;
+            context.beginPath();
+            context.arc(...toCanvas(hoop.rim.x, hoop.rim.z), THREE_POINT_ARC_RADIUS * scale, facing - arcHalfAngle, facing + arcHalfAngle);
+            context.stroke();
+        });
+
+        // Makes as green dots, misses as red crosses
+        this.entries.forEach(entry => {
+            const [x, y] = toCanvas(entry.origin.x, entry.origin.z);
+            if (entry.made) {
+                context.fillStyle = '#00ff00';
+                context.beginPath();
+                context.arc(x, y, 3, 0, Math.PI * 2);
+                context.fill();
+            } else {
+                context.strokeStyle = '#ff4444';
+                context.beginPath();
+                context.moveTo(x - 3, y - 3);
+                context.lineTo(x + 3, y + 3);
+                context.moveTo(x + 3, y - 3);
+                context.lineTo(x - 3, y + 3);
+                context.stroke();
+            }
+        });
+    }
+}
+
+// =============================================================================
+// RECORD & REPLAY SYSTEM
+// =============================================================================
+
+class ReplaySystem {
+    constructor() {
+        // Ring buffer of recorded frames, oldest overwritten first
+        this.capacity = REPLAY_SAMPLE_RATE * REPLAY_BUFFER_SECONDS;
+        this.frames = new Array(this.capacity);
+        this.head = 0;
+        this.count = 0;
+        this.time = 0;
+        this.lastSampleTime = -Infinity;
+
+        this.shotStartTime = null;
+        this.pendingReplay = null; // { hoopIndex, delay } while an instant replay is queued
+
+        this.active = false;
+        this.mode = null; // 'instant' (broadcast camera) or 'manual' (recorded camera, scrubbable)
+        this.clip = [];
+        this.playhead = 0;
+        this.speedIndex = 1;
+        this.paused = false;
+        this.savedView = null;
+    }
+
+    markShotStart() {
+        this.shotStartTime = this.time;
+        this.pendingReplay = null;
+    }
+
+    queueInstantReplay(hoopIndex) {
+        this.pendingReplay = { hoopIndex, delay: INSTANT_REPLAY_DELAY };
+    }
+
+    record() {
+        if (this.time - this.lastSampleTime < 1 / REPLAY_SAMPLE_RATE - 1e-6) return;
+        this.lastSampleTime = this.time;
+
+        this.frames[this.head] = {
+            time: this.time,
+            ballPosition: ballGroup.position.clone(),
+            ballRotation: ballGroup.rotation.clone(),
+            defenderPosition: defender.mesh.position.clone(),
+            nets: [rightHoop, leftHoop].map(hoop => ({ ...this.getNetState(hoop) })),
+            rimFlex: [rightHoop, leftHoop].map(hoop => hoop.userData.rimPivot.rotation.z),
+            cameraPosition: camera.position.clone(),
+            cameraTarget: controls.target.clone()
+        };
+        this.head = (this.head + 1) % this.capacity;
+        this.count = Math.min(this.count + 1, this.capacity);
+    }
+
+    getNetState(hoop) {
+        const animation = hoop.userData.net.animation;
+        return { isActive: animation.isActive, time: animation.time };
+    }
+
+    applyNetState(hoop, state) {
+        // An inactive net is run to the end of its animation, which restores the rest pose
+        const animation = hoop.userData.net.animation;
+        animation.isActive = true;
+        animation.time = state.isActive ? state.time : animation.duration;
+    }
+
+    getFramesSince(startTime) {
+        const frames = [];
+        for (let i = 0; i < this.count; i++) {
+            const frame = this.frames[(this.head - this.count + i + this.capacity) % this.capacity];
+            if (frame.time >= startTime) frames.push(frame);
+        }
+        return frames;
+    }
+
+    startReplay(mode, hoopIndex = gameState.targetHoopIndex) {
+        if (this.shotStartTime === null) {
+            ui.updateGameStatus('🎬 No shot to replay yet - take a shot first!');
+            return;
+        }
+
+        this.clip = this.getFramesSince(this.shotStartTime);
+        if (this.clip.length < 2) return;
+
+        this.active = true;
+        this.mode = mode;
+        this.hoopIndex = hoopIndex;
+        this.playhead = 0;
+        this.paused = false;
+        this.speedIndex = mode === 'instant' ? 1 : REPLAY_SPEEDS.length - 1;
+        this.pendingReplay = null;
+
+        this.savedView = {
+            cameraPosition: camera.position.clone(),
+            cameraTarget: controls.target.clone(),
+            controlsEnabled: controls.enabled,
+            nets: [rightHoop, leftHoop].map(hoop => this.getNetState(hoop))
+        };
+        controls.enabled = false;
+
+        if (mode === 'instant') {
+            this.updateBroadcastCamera(this.clip[0].ballPosition, 1);
+        }
+        this.showFrame();
+    }
+
+    stopReplay() {
+        this.active = false;
+        this.clip = [];
+
+        camera.position.copy(this.savedView.cameraPosition);
+        controls.target.copy(this.savedView.cameraTarget);
+        controls.enabled = this.savedView.controlsEnabled;
+        [rightHoop, leftHoop].forEach((hoop, index) => this.applyNetState(hoop, this.savedView.nets[index]));
+        updateNetAnimation(0);
+
+        // Hand the ball back to the live simulation state
+        PhysicsSystem.syncBallVisual(1);
+        ui.updateReplay(null);
+    }
+
+    getDuration() {
+        return this.clip[this.clip.length - 1].time - this.clip[0].time;
+    }
+
+    update(deltaTime) {
+        if (!this.active) {
+            this.time += deltaTime;
+            this.record();
+
+            if (this.pendingReplay) {
+                this.pendingReplay.delay -= deltaTime;
+                if (this.pendingReplay.delay <= 0) this.startReplay('instant', this.pendingReplay.hoopIndex);
+            }
+            return;
+        }
+
+        if (!this.paused) {
+            this.playhead += deltaTime * REPLAY_SPEEDS[this.speedIndex];
+        }
+
+        const duration = this.getDuration();
+        if (this.playhead >= duration) {
+            this.playhead = duration;
+            if (this.mode === 'instant') {
+                this.stopReplay();
+                return;
+            }
+            this.paused = true;
+        }
+
+        this.showFrame(deltaTime);
+    }
+
+    showFrame(deltaTime = 0) {
+        // Interpolate between the two recorded frames around the playhead
+        const time = this.clip[0].time + this.playhead;
+        let index = 0;
+        while (index < this.clip.length - 2 && this.clip[index + 1].time < time) index++;
+
+        const from = this.clip[index];
+        const to = this.clip[index + 1];
+        const alpha = THREE.MathUtils.clamp((time - from.time) / (to.time - from.time), 0, 1);
+
+        ballGroup.position.lerpVectors(from.ballPosition, to.ballPosition, alpha);
+        ballGroup.rotation.set(
+            THREE.MathUtils.lerp(from.ballRotation.x, to.ballRotation.x, alpha),
+            THREE.MathUtils.lerp(from.ballRotation.y, to.ballRotation.y, alpha),
+            THREE.MathUtils.lerp(from.ballRotation.z, to.ballRotation.z, alpha)
+        );
+
+        defender.mesh.position.lerpVectors(from.defenderPosition, to.defenderPosition, alpha);
+
+        [rightHoop, leftHoop].forEach((hoop, netIndex) => {
+            const fromNet = from.nets[netIndex];
+            const toNet = to.nets[netIndex];
+            const netTime = fromNet.isActive && toNet.isActive ? THREE.MathUtils.lerp(fromNet.time, toNet.time, alpha) : fromNet.time;
+            this.applyNetState(hoop, { isActive: fromNet.isActive, time: netTime });
+        });
+        updateNetAnimation(0);
+        [rightHoop, leftHoop].forEach((hoop, rimIndex) => {
+            hoop.userData.rimPivot.rotation.z = THREE.MathUtils.lerp(from.rimFlex[rimIndex], to.rimFlex[rimIndex], alpha);
+        });
+
+        if (this.mode === 'instant') {
+            this.updateBroadcastCamera(ballGroup.position, 1 - Math.exp(-4 * deltaTime));
+        } else {
+            camera.position.lerpVectors(from.cameraPosition, to.cameraPosition, alpha);
+            controls.target.lerpVectors(from.cameraTarget, to.cameraTarget, alpha);
+            camera.lookAt(controls.target);
+        }
+
+        const speed = `${REPLAY_SPEEDS[this.speedIndex]}×`;
+        const title = this.mode === 'instant' ? `INSTANT REPLAY ${speed}` : `REPLAY ${speed}${this.paused ? ' ❚❚' : ''}`;
+        const speedKeys = keyBindings.getLabels(['moveUp', 'moveDown']);
+        const shoot = keyBindings.getLabel('shoot');
+        const exit = keyBindings.getLabel('replay');
+        const hint = this.mode === 'instant' ?
+            `${speedKeys} speed · ${exit} or ${shoot} to skip` :
+            `${keyBindings.getLabels(['moveLeft', 'moveRight'])} scrub · ${shoot} play/pause · ${speedKeys} speed · ${exit} to exit`;
+        ui.updateReplay(title, hint, this.playhead / this.getDuration());
+    }
+
+    updateBroadcastCamera(ballPosition, blend) {
+        // Elevated sideline view a few meters in front of the basket, framing ball and rim
+        const rim = world.hoops[this.hoopIndex].rim;
+        const direction = world.hoops[this.hoopIndex].direction;
+        const desired = new THREE.Vector3(rim.x - direction * 5, 4.0, COURT_WIDTH / 2 + 2);
+        const lookTarget = new THREE.Vector3(rim.x, rim.y, rim.z).lerp(ballPosition, 0.5);
+
+        camera.position.lerp(desired, blend);
+        controls.target.lerp(lookTarget, blend);
+        camera.lookAt(controls.target);
+    }
+
+    handleAction(action, e) {
+        // Movement scrubs and changes speed, shoot plays and pauses, the replay key exits
+        switch (action) {
+            case 'moveUp':
+                this.speedIndex = Math.min(REPLAY_SPEEDS.length - 1, this.speedIndex + 1);
+                break;
+            case 'moveDown':
+                this.speedIndex = Math.max(0, this.speedIndex - 1);
+                break;
+            case 'moveLeft':
+            case 'moveRight':
+                if (this.mode !== 'manual') break;
+                this.paused = true;
+                this.playhead += (action === 'moveRight' ? 1 : -1) * REPLAY_SCRUB_STEP;
+                this.playhead = THREE.MathUtils.clamp(this.playhead, 0, this.getDuration());
+                break;
+            case 'shoot':
+                e.preventDefault();
+                if (this.mode === 'manual') {
+                    if (this.playhead >= this.getDuration()) this.playhead = 0;
+                    this.paused = !this.paused;
+                } else {
+                    this.stopReplay();
+                }
+                break;
+            case 'replay':
+                this.stopReplay();
+                break;
+        }
+    }
+}
+
+// =============================================================================
+// GAME MODES
+// =============================================================================
+
+const TIMED_CHALLENGE_SECONDS = 60;
+const REBOUND_DELAY = 0.8; // Seconds after a shot resolves before the ball comes back
+
+// Endless free shooting; also the base every other mode builds on
+class GameMode {
+    constructor() {
+        this.name = 'FREE SHOOT';
+        this.instantReplay = true;
+        this.autoRebound = false;
+        this.lockPosition = false;
+        this.freeThrows = false; // Shots count towards free-throw stats instead of field goals
+    }
+
+    start() {}
+
+    stop() {}
+
+    update(deltaTime) {}
+
+    // Redraws the mode's HUD line; called once per rendered frame, not per physics step
+    refreshHud() {}
+
+    canShoot() {
+        return true;
+    }
+
+    onShotTaken(shot) {}
+
+    onShotResolved(made) {}
+
+    constrainMove(position) {}
+
+    // The shooter tried to move along `moveVector` while the mode pins them to a spot
+    onPinnedMove(moveVector) {}
+
+    // Mode-specific actions; returns true when the action was used
+    handleAction(action) {
+        return false;
+    }
+
+    getShotPoints() {
+        return (gameState.isThreePointer ? 3 : 2) + this.getSwishBonus();
+    }
+
+    // The part of getShotPoints that the swish earned; modes with their own scoring pay none
+    getSwishBonus() {
+        return swishTracker.getBonusPoints();
+    }
+
+    rebound() {
+        InputSystem.placeBall(gameState.shotOrigin.x, gameState.shotOrigin.z);
+    }
+}
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+const PLAYER_COLORS = ['#ff6b35', '#4fc3f7', '#81c784', '#ba68c8'];
+const HORSE_WORD = 'HORSE';
+const SHOOTOUT_POSSESSIONS = 10;
+
+function createPlayer(index, { name = `PLAYER ${index + 1}`, aiDifficulty = null } = {}) {
+    return {
+        name,
+        color: PLAYER_COLORS[index],
+        isAI: aiDifficulty !== null,
+        aiDifficulty,
+        score: 0,
+        attempts: 0,
+        made: 0,
+        streak: 0,
+        longestStreak: 0,
+        threesAttempted: 0,
+        threesMade: 0,
+        letters: 0
+    };
+}
+
+// Player profiles, turn order and one scoreboard column per player. Solo modes
+// get a single profile; `aiDifficulty` adds a computer opponent after the humans.
+class TurnBasedMode extends GameMode {
+    constructor({ playerCount = 1, aiDifficulty = null } = {}) {
+        super();
+        this.instantReplay = false;
+        this.autoRebound = true;
+        this.playerCount = playerCount;
+        this.aiDifficulty = aiDifficulty;
+    }
+
+    start() {
+        gameState.players = Array.from({ length: this.playerCount }, (_, index) => createPlayer(index, {
+            name: this.playerCount === 1 && this.aiDifficulty ? 'YOU' : `PLAYER ${index + 1}`
+        }));
+        if (this.aiDifficulty) {
+            gameState.players.push(createPlayer(gameState.players.length, {
+                name: `🤖 CPU (${AI_DIFFICULTIES[this.aiDifficulty].label})`,
+                aiDifficulty: this.aiDifficulty
+            }));
+        }
+        gameState.currentPlayerIndex = 0;
+    }
+
+    stop() {
+        gameState.players = [];
+        aiShooter.cancel();
+        ui.updateModeDetails('');
+    }
+
+    currentPlayer() {
+        return gameState.players[gameState.currentPlayerIndex];
+    }
+
+    setCurrentPlayer(index, message) {
+        gameState.currentPlayerIndex = index;
+        const player = this.currentPlayer();
+        ui.updateModeDisplay(`🏀 ${player.name}'S TURN`);
+        ui.updateGameStatus(player.isAI ? `${player.name} has the ball... ${message}` : `🏀 ${player.name}, you're up! ${message}`);
+        this.updateScoreboard();
+
+        if (player.isAI) aiShooter.takeTurn(player.aiDifficulty, this.getAITurn());
+    }
+
+    // Where the computer has to shoot from this turn; empty lets it pick its own spot
+    getAITurn() {
+        return {};
+    }
+
+    onShotTaken(shot) {
+        this.currentPlayer().attempts++;
+    }
+
+    getPlayerLine(player) {
+        return `${player.score} PTS`;
+    }
+
+    updateScoreboard() {
+        if (gameState.players.length < 2) return;
+
+        const columns = gameState.players.map((player, index) => `
+            <div class="player-column${index === gameState.currentPlayerIndex ? ' player-active' : ''}" style="border-color: ${player.color};">
+                <div style="color: ${player.color}; font-weight: bold;">${player.name}</div>
+                <div class="player-line">${this.getPlayerLine(player)}</div>
+                <div>${player.made}/${player.attempts}</div>
+            </div>
+        `);
+        ui.updateModeDetails(`<div class="player-columns">${columns.join('')}</div>`);
+    }
+
+    getStandings() {
+        return [...gameState.players].sort((a, b) => b.score - a.score);
+    }
+}
+
+class TimedChallengeMode extends TurnBasedMode {
+    constructor({ duration = TIMED_CHALLENGE_SECONDS, aiDifficulty = null } = {}) {
+        super({ aiDifficulty });
+        this.name = 'TIMED CHALLENGE';
+        this.duration = duration;
+    }
+
+    start() {
+        super.start();
+        this.timeLeft = this.duration;
+        this.buzzer = false;
+        ui.updateGameStatus(`⏱️ ${this.duration} seconds on the clock - GO! 🏀`);
+        if (gameState.players.length > 1) this.setCurrentPlayer(0, `${this.duration} seconds on a shared clock, alternating shots!`);
+    }
+
+    update(deltaTime) {
+        if (this.buzzer) {
+            // Nothing left in the air means nothing left to wait for
+            if (!gameState.isShooting) gameModes.finish();
+            return;
+        }
+
+        this.timeLeft = Math.max(0, this.timeLeft - deltaTime);
+
+        if (this.timeLeft <= 0) {
+            // A shot already in the air still counts after the buzzer
+            this.buzzer = true;
+            shotMeter.charging = false;
+            aiShooter.cancel();
+            ui.updateGameStatus('📢 BUZZER! ' + (gameState.isShooting ? 'Last shot in the air...' : ''));
+            if (!gameState.isShooting) gameModes.finish();
+        }
+    }
+
+    refreshHud() {
+        ui.updateModeDisplay(this.getClockLabel(), this.timeLeft <= 10);
+    }
+
+    getClockLabel() {
+        const seconds = Math.ceil(this.timeLeft);
+        const clock = `⏱️ ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        return gameState.players.length > 1 ? `${clock} · ${this.currentPlayer().name}` : clock;
+    }
+
+    canShoot() {
+        return !this.buzzer;
+    }
+
+    onShotTaken(shot) {
+        super.onShotTaken(shot);
+        if (shot.isThreePointer) this.currentPlayer().threesAttempted++;
+    }
+
+    onShotResolved(made) {
+        const player = this.currentPlayer();
+        if (made) {
+            player.made++;
+            player.score += this.getShotPoints();
+            player.streak++;
+            player.longestStreak = Math.max(player.longestStreak, player.streak);
+            if (gameState.isThreePointer) player.threesMade++;
+        } else {
+            player.streak = 0;
+        }
+        this.updateScoreboard();
+
+        if (this.buzzer) gameModes.finish();
+    }
+
+    rebound() {
+        super.rebound();
+        if (gameState.players.length > 1 && !this.buzzer) {
+            this.setCurrentPlayer((gameState.currentPlayerIndex + 1) % gameState.players.length, '');
+        }
+    }
+
+    getResults() {
+        const rows = gameState.players.map(player => {
+            const { score, attempts, made, longestStreak, threesAttempted, threesMade } = player;
+            const accuracy = attempts > 0 ? Math.round((made / attempts) * 100) : 0;
+            const threeAccuracy = threesAttempted > 0 ? Math.round((threesMade / threesAttempted) * 100) : 0;
+            return [
+                ['Points', score],
+                ['Shots Made', `${made}/${attempts}`],
+                ['Accuracy', `${accuracy}%`],
+                ['Longest Streak', longestStreak],
+                ['3-Pointers', `${threesMade}/${threesAttempted} (${threeAccuracy}%)`],
+                ['2-Pointers', `${made - threesMade}/${attempts - threesAttempted}`]
+            ];
+        });
+        if (rows.length === 1) return rows[0];
+
+        // Versus the computer: one value per player in each row
+        const standings = this.getStandings();
+        const tied = standings[0].score === standings[1].score;
+        return [
+            ['Winner', tied ? '🤝 TIE GAME' : `🏆 ${standings[0].name}`],
+            ...rows[0].map(([label], index) => [label, rows.map(playerRows => playerRows[index][1]).join(' · ')])
+        ];
+    }
+}
+
+// Five rack spots just outside the arc of the right hoop, corner to corner (degrees off the lane axis)
+const CONTEST_RACK_ANGLES = [-80, -45, 0, 45, 80];
+const CONTEST_SPOT_RADIUS = THREE_POINT_ARC_RADIUS + 0.35;
+const CONTEST_BALLS_PER_RACK = 5; // The last ball on every rack is the money ball
+const CONTEST_SECONDS = 60;
+
+class ThreePointContestMode extends TimedChallengeMode {
+    constructor() {
+        super({ duration: CONTEST_SECONDS });
+        this.name = 'THREE-POINT CONTEST';
+        this.lockPosition = true;
+        this.hoopIndex = 0;
+    }
+
+    start() {
+        super.start();
+
+        const rim = world.hoops[this.hoopIndex].rim;
+        const direction = world.hoops[this.hoopIndex].direction;
+        this.racks = CONTEST_RACK_ANGLES.map(angle => {
+            const radians = THREE.MathUtils.degToRad(angle);
+            const outward = new THREE.Vector3(-direction * Math.cos(radians), 0, Math.sin(radians));
+            return {
+                spot: { x: rim.x + outward.x * CONTEST_SPOT_RADIUS, z: outward.z * CONTEST_SPOT_RADIUS },
+                outward,
+                results: []
+            };
+        });
+        this.rackIndex = 0;
+        this.points = 0;
+
+        this.createRacks();
+        this.moveToRack();
+        this.updateScoreboard();
+        ui.updateGameStatus(`🎯 THREE-POINT CONTEST! ${CONTEST_SECONDS} seconds, 5 racks - money balls are worth 2! 💰`);
+    }
+
+    stop() {
+        super.stop();
+        scene.remove(this.rackGroup);
+        ballGroup.userData.ballMesh.material = BALL_MATERIAL;
+    }
+
+    createRacks() {
+        this.rackGroup = new THREE.Group();
+        this.rackGroup.name = 'Three-Point Contest Racks';
+
+        const standMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.7, roughness: 0.4 });
+        const standGeometry = new THREE.BoxGeometry(1.1, 0.6, 0.3);
+        const rackBallGeometry = new THREE.SphereGeometry(BALL_RADIUS, 24, 24);
+
+        this.racks.forEach(rack => {
+            // Stand just behind the spot, balls lined up along it with the money ball at the end
+            const stand = new THREE.Group();
+            stand.position.set(rack.spot.x + rack.outward.x * 0.9, COURT_FLOOR_Y, rack.spot.z + rack.outward.z * 0.9);
+            stand.rotation.y = Math.atan2(-rack.outward.z, rack.outward.x) + Math.PI / 2;
+
+            const frame = new THREE.Mesh(standGeometry, standMaterial);
+            frame.position.y = 0.3;
+            frame.castShadow = true;
+            stand.add(frame);
+
+            rack.ballMeshes = [];
+            for (let i = 0; i < CONTEST_BALLS_PER_RACK; i++) {
+                const isMoneyBall = i === CONTEST_BALLS_PER_RACK - 1;
+                const ball = new THREE.Mesh(rackBallGeometry, isMoneyBall ? MONEY_BALL_MATERIAL : BALL_MATERIAL);
+                ball.position.set(-0.44 + i * 0.22, 0.6 + BALL_RADIUS, 0);
+                ball.castShadow = true;
+                stand.add(ball);
+                rack.ballMeshes.push(ball);
+            }
+
+            this.rackGroup.add(stand);
+        });
+
+        scene.add(this.rackGroup);
+    }
+
+    currentRack() {
+        return this.racks[this.rackIndex];
+    }
+
+    isMoneyBall() {
+        return this.currentRack().results.length === CONTEST_BALLS_PER_RACK - 1;
+    }
+
+    moveToRack() {
+        // Take the next ball off the rack and square up to the basket
+        const rack = this.currentRack();
+        InputSystem.placeBall(rack.spot.x, rack.spot.z);
+        gameState.aimHeading = headingToHoop(world, rack.spot, this.hoopIndex);
+        rack.ballMeshes[rack.results.length].visible = false;
+        ballGroup.userData.ballMesh.material = this.isMoneyBall() ? MONEY_BALL_MATERIAL : BALL_MATERIAL;
+    }
+
+    getClockLabel() {
+        const rackNumber = Math.min(this.rackIndex + 1, this.racks.length);
+        return `${super.getClockLabel()} · RACK ${rackNumber}/${this.racks.length}`;
+    }
+
+    canShoot() {
+        return super.canShoot() && this.rackIndex < this.racks.length;
+    }
+
+    getShotPoints() {
+        return this.isMoneyBall() ? 2 : 1;
+    }
+
+    getSwishBonus() {
+        return 0;
+    }
+
+    onShotResolved(made) {
+        const rack = this.currentRack();
+        const money = this.isMoneyBall();
+        if (made) this.points += this.getShotPoints();
+        rack.results.push({ made, money });
+        this.updateScoreboard();
+
+        if (rack.results.length === CONTEST_BALLS_PER_RACK) {
+            this.rackIndex++;
         }
 
-        const net = hoop.userData.net;
-        const anim = net.animation;
-        anim.time += deltaTime;
+        if (this.buzzer || this.rackIndex >= this.racks.length) {
+            gameModes.finish();
+        }
+    }
 
-        const damping = 1.0 - Math.min(1.0, anim.time / anim.duration);
+    rebound() {
+        this.moveToRack();
+    }
 
-        if (damping <= 0) {
-            anim.isActive = false;
+    rackPoints(rack) {
+        return rack.results.reduce((total, result) => total + (result.made ? (result.money ? 2 : 1) : 0), 0);
+    }
 
-            for (let i = 0; i < net.geometries.length; i++) {
-                net.geometries[i].attributes.position.copy(net.originalPositions[i]);
-                net.geometries[i].attributes.position.needsUpdate = true;
+    updateScoreboard() {
+        // One row per rack: ● make, ○ miss, ★/☆ money ball, · still on the rack
+        const rows = this.racks.map((rack, index) => {
+            const symbols = [];
+            for (let i = 0; i < CONTEST_BALLS_PER_RACK; i++) {
+                const result = rack.results[i];
+                if (!result) symbols.push('·');
+                else if (result.money) symbols.push(result.made ? '★' : '☆');
+                else symbols.push(result.made ? '●' : '○');
             }
-            continue;
+            const marker = index === this.rackIndex ? '▶ ' : '';
+            return `<div class="results-row"><span>${marker}RACK ${index + 1}</span><span>${symbols.join(' ')}</span><strong>${this.rackPoints(rack)}</strong></div>`;
+        });
+        ui.updateModeDetails(rows.join(''));
+    }
+
+    getResults() {
+        const made = this.racks.reduce((total, rack) => total + rack.results.filter(result => result.made).length, 0);
+        const attempts = this.racks.reduce((total, rack) => total + rack.results.length, 0);
+        return [
+            ['Total Points', `${this.points} / 30`],
+            ...this.racks.map((rack, index) => [`Rack ${index + 1}`, `${this.rackPoints(rack)} pts (${rack.results.filter(result => result.made).length}/${rack.results.length})`]),
+            ['Shots Made', `${made}/${attempts}`]
+        ];
+    }
+}
+
+const FREE_THROW_SET_SIZE = 10;
+const FREE_THROW_SHOT_CLOCK = 10; // Seconds per attempt
+const FREE_THROW_SPOT_DEPTH = 0.3; // Shooter stands this far behind the line
+
+class FreeThrowMode extends GameMode {
+    constructor() {
+        super();
+        this.name = 'FREE THROWS';
+        this.instantReplay = false;
+        this.autoRebound = true;
+        this.lockPosition = true;
+        this.freeThrows = true;
+    }
+
+    start() {
+        // Shoot at whichever hoop the player is facing
+        this.hoopIndex = findAimedHoopIndex(world, gameState.ballPosition, gameState.aimHeading);
+        this.direction = world.hoops[this.hoopIndex].direction;
+        this.spot = { x: this.direction * (FREE_THROW_LINE_X - FREE_THROW_SPOT_DEPTH), z: 0 };
+        this.results = [];
+
+        this.rebound();
+        this.updateScoreboard();
+        ui.updateGameStatus(`🎯 FREE THROWS at the ${world.hoops[this.hoopIndex].side} hoop - ${FREE_THROW_SET_SIZE} shots, ${FREE_THROW_SHOT_CLOCK} seconds each. Stay behind the line!`);
+    }
+
+    stop() {
+        ui.updateModeDetails('');
+    }
+
+    rebound() {
+        InputSystem.placeBall(this.spot.x, this.spot.z);
+        gameState.aimHeading = headingToHoop(world, this.spot, this.hoopIndex);
+
+        // Re-spotting mid-attempt (a reset) keeps the running shot clock
+        if (!this.ballInHand) {
+            this.shotClock = FREE_THROW_SHOT_CLOCK;
+            this.ballInHand = this.results.length < FREE_THROW_SET_SIZE;
         }
+    }
 
-        for (let i = 0; i < net.geometries.length; i++) {
-            const geometry = net.geometries[i];
-            const positions = geometry.attributes.position;
-            const originalPositions = net.originalPositions[i];
-            const vertexCount = positions.count;
+    onPinnedMove(moveVector) {
+        // The shooter can't walk, but pushing toward the hoop before the release is a step over the line
+        if (this.ballInHand && moveVector.x * this.direction > 0) {
+            this.callViolation('LANE VIOLATION - you stepped over the line!');
+        }
+    }
 
-            for (let j = 0; j < vertexCount; j++) {
-                const originalX = originalPositions.getX(j);
-                const originalY = originalPositions.getY(j);
-                const originalZ = originalPositions.getZ(j);
+    update(deltaTime) {
+        if (this.ballInHand) {
+            this.shotClock = Math.max(0, this.shotClock - deltaTime);
+            if (this.shotClock <= 0) this.callViolation('SHOT CLOCK VIOLATION - 10 seconds to shoot!');
+        }
+    }
 
-                const ripple = Math.sin(originalY * anim.frequency + anim.time * anim.speed);
-                const effectStrength = Math.abs(originalY / 0.45);
+    refreshHud() {
+        const attempt = Math.min(this.results.length + 1, FREE_THROW_SET_SIZE);
+        ui.updateModeDisplay(`🎯 FT ${attempt}/${FREE_THROW_SET_SIZE} · ⏱️ ${Math.ceil(this.shotClock)}`, this.ballInHand && this.shotClock <= 3);
+    }
 
-                const offsetX = ripple * anim.amplitude * effectStrength * damping;
-                const offsetZ = ripple * anim.amplitude * effectStrength * damping;
+    callViolation(reason) {
+        this.ballInHand = false;
+        this.results.push('violation');
+        gameState.freeThrowsAttempted++;
+        ui.updateFreeThrows(gameState.freeThrowsMade, gameState.freeThrowsAttempted);
+        ui.updateGameStatus(`🚫 ${reason} Free throw lost.`);
+        this.updateScoreboard();
 
-                positions.setXYZ(j, originalX + offsetX, originalY, originalZ + offsetZ);
-            }
-            positions.needsUpdate = true;
+        if (this.results.length >= FREE_THROW_SET_SIZE) {
+            gameModes.finish();
+        } else {
+            gameModes.scheduleRebound();
         }
     }
-}
 
-function triggerNetAnimation() {
-    if (!rightHoop || !leftHoop) return;
+    canShoot() {
+        return this.ballInHand;
+    }
 
-    const rightHoopPos = new THREE.Vector3();
-    const leftHoopPos = new THREE.Vector3();
+    onShotTaken(shot) {
+        this.ballInHand = false;
+    }
 
-    if (rightHoop.userData.rimPosition) {
-        rightHoop.localToWorld(rightHoopPos.copy(rightHoop.userData.rimPosition));
+    getShotPoints() {
+        return 1;
     }
-    if (leftHoop.userData.rimPosition) {
-        leftHoop.localToWorld(leftHoopPos.copy(leftHoop.userData.rimPosition));
+
+    getSwishBonus() {
+        return 0;
     }
 
-    const distToRight = gameState.ballPosition.distanceTo(rightHoopPos);
-    const distToLeft = gameState.ballPosition.distanceTo(leftHoopPos);
+    onShotResolved(made) {
+        this.results.push(made ? 'made' : 'missed');
+        this.updateScoreboard();
 
-    const targetHoop = distToRight < distToLeft ? rightHoop : leftHoop;
-    const hoopSide = distToRight < distToLeft ? 'right' : 'left';
+        if (this.results.length >= FREE_THROW_SET_SIZE) gameModes.finish();
+    }
 
-    if (targetHoop.userData.net) {
-        targetHoop.userData.net.animation.isActive = true;
-        targetHoop.userData.net.animation.time = 0;
-        ui.updateGameStatus(`🌊 Net SWISH animation on ${hoopSide} hoop! 🏀✨`);
+    updateScoreboard() {
+        // ● make, ○ miss, ✖ violation, · still to shoot
+        const symbols = { made: '●', missed: '○', violation: '✖' };
+        const shots = [];
+        for (let i = 0; i < FREE_THROW_SET_SIZE; i++) {
+            shots.push(this.results[i] ? symbols[this.results[i]] : '·');
+        }
+        const made = this.results.filter(result => result === 'made').length;
+        ui.updateModeDetails(`<div class="results-row"><span>${shots.join(' ')}</span><strong>${made}/${this.results.length}</strong></div>`);
     }
-}
 
-// =============================================================================
-// COURT CONSTRUCTION FUNCTIONS
-// =============================================================================
+    getResults() {
+        const made = this.results.filter(result => result === 'made').length;
+        const violations = this.results.filter(result => result === 'violation').length;
+        const careerPercentage = gameState.freeThrowsAttempted > 0 ?
+            Math.round((gameState.freeThrowsMade / gameState.freeThrowsAttempted) * 100) : 0;
+        return [
+            ['Made', `${made}/${FREE_THROW_SET_SIZE}`],
+            ['Set FT%', `${Math.round((made / FREE_THROW_SET_SIZE) * 100)}%`],
+            ['Violations', violations],
+            ['Overall FT%', `${careerPercentage}% (${gameState.freeThrowsMade}/${gameState.freeThrowsAttempted})`]
+        ];
+    }
+}
 
-function createCourtFloor() {
-    const courtGroup = new THREE.Group();
+const AROUND_THE_WORLD_STORAGE_KEY = 'superArena.aroundTheWorldBest';
+const AROUND_THE_WORLD_WING_RADIUS = THREE_POINT_ARC_RADIUS - 1.25; // Wings sit well inside the arc
+const MARKER_COLORS = { upcoming: 0xffffff, current: 0xffd700, done: 0x00ff66 };
+
+// Spots around the chosen hoop, block to block: paint, corner, wing, elbow, free-throw line and back down the other side
+function createAroundTheWorldSpots(hoopIndex) {
+    const { rim, direction } = world.hoops[hoopIndex];
+    const baselineDepth = COURT_LENGTH / 2;
+    const wingOffset = AROUND_THE_WORLD_WING_RADIUS * Math.SQRT1_2;
+
+    const side = [
+        { name: 'BLOCK', depth: baselineDepth - 1.8, z: LANE_WIDTH / 2 + 0.3 },
+        { name: 'CORNER', depth: baselineDepth - 0.9, z: THREE_POINT_CORNER_Z - 0.8 },
+        { name: 'WING', depth: Math.abs(rim.x) - wingOffset, z: wingOffset },
+        { name: 'ELBOW', depth: FREE_THROW_LINE_X, z: LANE_WIDTH / 2 }
+    ];
+    const top = { name: 'FREE-THROW LINE', depth: FREE_THROW_LINE_X, z: 0 };
+
+    // The shooter's left going in is -Z for the right hoop and +Z for the left one
+    const leftSign = -direction;
+    return [
+        ...side.map(spot => ({ ...spot, name: `LEFT ${spot.name}`, z: spot.z * leftSign })),
+        top,
+        ...[...side].reverse().map(spot => ({ ...spot, name: `RIGHT ${spot.name}`, z: -spot.z * leftSign }))
+    ].map(spot => ({ name: spot.name, x: spot.depth * direction, z: spot.z }));
+}
 
-    const courtGeometry = new THREE.BoxGeometry(COURT_LENGTH + 4, 0.3, COURT_WIDTH + 4);
-    const court = new THREE.Mesh(courtGeometry, COURT_MATERIAL);
-    court.position.y = COURT_FLOOR_Y - 0.15;
-    court.receiveShadow = true;
-    court.castShadow = true;
-    courtGroup.add(court);
+class AroundTheWorldMode extends GameMode {
+    constructor() {
+        super();
+        this.name = 'AROUND THE WORLD';
+        this.instantReplay = false;
+        this.autoRebound = true;
+        this.lockPosition = true;
+    }
 
-    const borderMaterial = new THREE.MeshStandardMaterial({
-        color: 0x8b4513,
-        roughness: 0.7,
-        metalness: 0.2
-    });
+    start() {
+        this.hoopIndex = findAimedHoopIndex(world, gameState.ballPosition, gameState.aimHeading);
+        this.spots = createAroundTheWorldSpots(this.hoopIndex);
+        this.spotIndex = 0;
+        this.misses = 0;
+        this.elapsed = 0;
+        this.chanceOffered = false;
+        this.chanceActive = false;
+        this.personalBest = this.loadPersonalBest();
+
+        this.createMarkers();
+        this.rebound();
+        ui.updateGameStatus(`🌍 AROUND THE WORLD at the ${world.hoops[this.hoopIndex].side} hoop - make one from every spot!`);
+    }
 
-    const borderThickness = 0.5;
-    const borderHeight = 0.1;
+    stop() {
+        scene.remove(this.markerGroup);
+        ui.updateModeDetails('');
+    }
 
-    const sideBorderGeo = new THREE.BoxGeometry(COURT_LENGTH + 4 + borderThickness * 2, borderHeight, borderThickness);
-    const topBorder = new THREE.Mesh(sideBorderGeo, borderMaterial);
-    topBorder.position.set(0, borderHeight / 2, (COURT_WIDTH + 4) / 2 + borderThickness / 2);
-    topBorder.castShadow = true;
-    courtGroup.add(topBorder);
+    loadPersonalBest() {
+        try {
+            const record = JSON.parse(localStorage.getItem(AROUND_THE_WORLD_STORAGE_KEY));
+            // Anything but a finished run's numbers (old format, hand-edited) counts as no record
+            const valid = record !== null && typeof record === 'object' &&
+                Number.isFinite(record.time) && Number.isFinite(record.misses);
+            return valid ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
 
-    const bottomBorder = topBorder.clone();
-    bottomBorder.position.z = -topBorder.position.z;
-    courtGroup.add(bottomBorder);
+    savePersonalBest(record) {
+        try {
+            localStorage.setItem(AROUND_THE_WORLD_STORAGE_KEY, JSON.stringify(record));
+        } catch (error) {
+            console.warn('Around the World best could not be saved:', error);
+        }
+    }
 
-    const endBorderGeo = new THREE.BoxGeometry(borderThickness, borderHeight, COURT_WIDTH + 4);
-    const leftBorder = new THREE.Mesh(endBorderGeo, borderMaterial);
-    leftBorder.position.set(-(COURT_LENGTH + 4) / 2 - borderThickness / 2, borderHeight / 2, 0);
-    leftBorder.castShadow = true;
-    courtGroup.add(leftBorder);
+    createMarkers() {
+        this.markerGroup = new THREE.Group();
+        this.markerGroup.name = 'Around the World Markers';
+
+        const markerGeometry = new THREE.RingGeometry(0.3, 0.45, 32);
+        this.markers = this.spots.map(spot => {
+            const marker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({
+                color: MARKER_COLORS.upcoming,
+                transparent: true,
+                opacity: 0.5,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            }));
+            marker.rotation.x = -Math.PI / 2;
+            marker.position.set(spot.x, COURT_FLOOR_Y + LINES_Y_OFFSET * 3, spot.z);
+            this.markerGroup.add(marker);
+            return marker;
+        });
 
-    const rightBorder = leftBorder.clone();
-    rightBorder.position.x = -leftBorder.position.x;
-    courtGroup.add(rightBorder);
+        scene.add(this.markerGroup);
+    }
 
-    return courtGroup;
-}
+    updateMarkers() {
+        this.markers.forEach((marker, index) => {
+            const status = index < this.spotIndex ? 'done' : (index === this.spotIndex ? 'current' : 'upcoming');
+            marker.material.color.setHex(MARKER_COLORS[status]);
+            marker.material.opacity = status === 'upcoming' ? 0.35 : 0.8;
+            marker.scale.setScalar(1);
+        });
+    }
 
-function createBoundaryLines() {
-    const group = new THREE.Group();
-    group.name = 'Boundary Lines';
-    const y = COURT_FLOOR_Y + LINES_Y_OFFSET;
+    rebound() {
+        const spot = this.spots[this.spotIndex];
+        InputSystem.placeBall(spot.x, spot.z);
+        gameState.aimHeading = headingToHoop(world, spot, this.hoopIndex);
+        this.updateMarkers();
+        this.updateScoreboard();
+    }
 
-    const sidelineGeo = new THREE.BoxGeometry(COURT_LENGTH, 0.02, LINE_THICKNESS);
-    const sidelineTop = new THREE.Mesh(sidelineGeo, WHITE_LINE_MATERIAL);
-    sidelineTop.position.set(0, y, COURT_WIDTH / 2 - LINE_THICKNESS / 2);
-    sidelineTop.castShadow = true;
-    group.add(sidelineTop);
+    update(deltaTime) {
+        this.elapsed += deltaTime;
 
-    const sidelineBottom = sidelineTop.clone();
-    sidelineBottom.position.z = -sidelineTop.position.z;
-    group.add(sidelineBottom);
+        // The current spot pulses so it is easy to find
+        const pulse = 1 + 0.15 * Math.sin(this.elapsed * 6);
+        this.markers[this.spotIndex].scale.setScalar(pulse);
+    }
 
-    const endlineGeo = new THREE.BoxGeometry(LINE_THICKNESS, 0.02, COURT_WIDTH);
-    const endlineLeft = new THREE.Mesh(endlineGeo, WHITE_LINE_MATERIAL);
-    endlineLeft.position.set(-COURT_LENGTH / 2 + LINE_THICKNESS / 2, y, 0);
-    endlineLeft.castShadow = true;
-    group.add(endlineLeft);
+    refreshHud() {
+        const chance = this.chanceActive ? ' · 🎲 CHANCE' : '';
+        ui.updateModeDisplay(`🌍 SPOT ${this.spotIndex + 1}/${this.spots.length} · ⏱️ ${this.elapsed.toFixed(1)}s · ✖ ${this.misses}${chance}`);
+    }
 
-    const endlineRight = endlineLeft.clone();
-    endlineRight.position.x = -endlineLeft.position.x;
-    group.add(endlineRight);
+    handleAction(action) {
+        if (action !== 'chance' || !this.chanceOffered || gameState.isShooting) return false;
 
-    const centerLineGeo = new THREE.BoxGeometry(LINE_THICKNESS, 0.02, COURT_WIDTH);
-    const centerLine = new THREE.Mesh(centerLineGeo, WHITE_LINE_MATERIAL);
-    centerLine.position.y = y;
-    centerLine.castShadow = true;
-    group.add(centerLine);
+        this.chanceOffered = false;
+        this.chanceActive = true;
+        ui.updateGameStatus('🎲 Taking the CHANCE: make it and the miss is forgiven, miss it and it\'s back to the start!');
+        return true;
+    }
 
-    return group;
-}
+    onShotResolved(made) {
+        const spot = this.spots[this.spotIndex];
 
-function createCenterCircle() {
-    const group = new THREE.Group();
-    group.name = 'Center Circle';
-    const y = COURT_FLOOR_Y + LINES_Y_OFFSET;
-    const radius = 1.8;
+        if (made) {
+            if (this.chanceActive) this.misses--;
+            this.chanceActive = false;
+            this.chanceOffered = false;
+            this.spotIndex++;
+
+            if (this.spotIndex >= this.spots.length) {
+                this.spotIndex = this.spots.length - 1;
+                this.completeRun();
+                return;
+            }
+            ui.updateGameStatus(`✅ ${spot.name} done! On to the ${this.spots[this.spotIndex].name}.`);
+        } else {
+            this.misses++;
+            if (this.chanceActive) {
+                this.chanceActive = false;
+                this.spotIndex = 0;
+                ui.updateGameStatus('💥 Chance missed - back to the start!');
+            } else {
+                this.chanceOffered = true;
+                ui.updateGameStatus(`❌ Missed from the ${spot.name}. Press ${keyBindings.getLabel('chance')} to take a CHANCE, or just shoot again to stay.`);
+            }
+        }
+    }
 
-    const ringGeo = new THREE.RingGeometry(radius - LINE_THICKNESS, radius, 64);
-    const circleLine = new THREE.Mesh(ringGeo, WHITE_LINE_MATERIAL);
-    circleLine.rotation.x = -Math.PI / 2;
-    circleLine.position.y = y;
-    circleLine.castShadow = true;
-    group.add(circleLine);
+    completeRun() {
+        const record = { time: this.elapsed, misses: this.misses };
+        const best = this.personalBest;
+        this.isNewBest = !best || record.time < best.time || (record.time === best.time && record.misses < best.misses);
+        if (this.isNewBest) {
+            this.personalBest = record;
+            this.savePersonalBest(record);
+        }
+        gameModes.finish();
+    }
 
-    const fillerGeo = new THREE.CircleGeometry(radius - LINE_THICKNESS, 64);
-    const fillerCircle = new THREE.Mesh(fillerGeo, RED_PAINT_MATERIAL);
-    fillerCircle.receiveShadow = true;
-    fillerCircle.castShadow = true;
-    fillerCircle.rotation.x = -Math.PI / 2;
-    fillerCircle.position.y = y - 0.001;
-    group.add(fillerCircle);
+    updateScoreboard() {
+        const best = this.personalBest ? `${this.personalBest.time.toFixed(1)}s · ${this.personalBest.misses} misses` : 'none yet';
+        ui.updateModeDetails(`<div class="results-row"><span>NEXT: ${this.spots[this.spotIndex].name}</span><span>BEST: ${best}</span></div>`);
+    }
 
-    return group;
+    getResults() {
+        return [
+            ['Time', `${this.elapsed.toFixed(1)}s`],
+            ['Misses', this.misses],
+            ['Personal Best', `${this.personalBest.time.toFixed(1)}s · ${this.personalBest.misses} misses${this.isNewBest ? ' 🎉 NEW!' : ''}`]
+        ];
+    }
 }
 
-function createEndzoneMarkings() {
-    const group = new THREE.Group();
-    group.name = 'Endzone Markings';
-    const y = COURT_FLOOR_Y + LINES_Y_OFFSET;
+class HorseMode extends TurnBasedMode {
+    constructor(options) {
+        super(options);
+        this.name = 'H-O-R-S-E';
+    }
 
-    const arcRadius = 6.75;
-    const hoopDistFromBaseline = 1.575;
-    const zPos = (COURT_WIDTH / 2) - 0.9;
-    const arcCenterX = (COURT_LENGTH / 2) - hoopDistFromBaseline;
-    const intersectX = arcCenterX - Math.sqrt(arcRadius**2 - zPos**2);
-    const segmentLength = (COURT_LENGTH / 2) - intersectX;
+    start() {
+        super.start();
+        this.setterIndex = 0;
+        this.challenge = null; // { spot, hoopIndex, bank, finish } once a shot has to be matched
+        this.matchers = []; // Players still to attempt the current challenge, in order
+        this.beginTurn();
+    }
 
-    const threePointSegmentGeo = new THREE.BoxGeometry(segmentLength, 0.02, LINE_THICKNESS);
-    const topSegment = new THREE.Mesh(threePointSegmentGeo, WHITE_LINE_MATERIAL);
-    topSegment.position.set(intersectX + segmentLength / 2, y, zPos);
-    topSegment.castShadow = true;
-    group.add(topSegment);
+    activePlayerIndices() {
+        return gameState.players.map((player, index) => index).filter(index => gameState.players[index].letters < HORSE_WORD.length);
+    }
 
-    const bottomSegment = topSegment.clone();
-    bottomSegment.position.set(intersectX + segmentLength / 2, y, -zPos);
-    group.add(bottomSegment);
+    nextActiveAfter(index) {
+        const active = this.activePlayerIndices();
+        return active.find(candidate => candidate > index) ?? active[0];
+    }
 
-    const angle = Math.asin(zPos / arcRadius);
-    const startAngle = Math.PI - angle;
-    const sweepAngle = angle * 2;
-    const threePointArcGeo = new THREE.RingGeometry(arcRadius - LINE_THICKNESS, arcRadius, 64, 1, startAngle, sweepAngle);
-    const threePointArc = new THREE.Mesh(threePointArcGeo, WHITE_LINE_MATERIAL);
-    threePointArc.position.set(arcCenterX, y, 0);
-    threePointArc.rotation.x = -Math.PI / 2;
-    threePointArc.castShadow = true;
-    group.add(threePointArc);
+    beginTurn() {
+        if (this.challenge) {
+            // Matchers shoot from the setter's spot, at the setter's hoop; a layup or dunk has to be driven in again
+            const { spot, hoopIndex, bank, finish } = this.challenge;
+            this.lockPosition = !finish;
+            InputSystem.placeBall(spot.x, spot.z);
+            gameState.aimHeading = headingToHoop(world, spot, hoopIndex);
+            const call = finish ? ` - drive in for the ${finish.toUpperCase()}` : (bank ? ' - OFF THE GLASS' : '');
+            this.setCurrentPlayer(this.matchers[0], `Match ${gameState.players[this.setterIndex].name}'s shot${call}!`);
+        } else {
+            this.lockPosition = false;
+            InputSystem.placeBall(gameState.ballPosition.x, gameState.ballPosition.z);
+            this.setCurrentPlayer(this.setterIndex, 'Pick any spot and set the shot.');
+        }
+    }
 
-    const laneWidth = 4.9;
-    const laneLength = 5.8;
-    const freeThrowLineX = (COURT_LENGTH / 2) - laneLength;
+    onShotResolved(made) {
+        const player = this.currentPlayer();
+        const bank = classifyShotEnding(made, gameState.shotContacts) === 'bank';
+        if (made) player.made++;
+
+        if (!this.challenge) {
+            if (made) {
+                this.challenge = {
+                    spot: { x: gameState.shotOrigin.x, z: gameState.shotOrigin.z },
+                    hoopIndex: gameState.targetHoopIndex,
+                    bank,
+                    finish: gameState.finishType
+                };
+                const active = this.activePlayerIndices();
+                const setterPosition = active.indexOf(this.setterIndex);
+                this.matchers = [...active.slice(setterPosition + 1), ...active.slice(0, setterPosition)];
+            } else {
+                this.setterIndex = this.nextActiveAfter(this.setterIndex);
+            }
+        } else {
+            const { hoopIndex, finish } = this.challenge;
+            const matched = made && gameState.targetHoopIndex === hoopIndex && gameState.finishType === finish &&
+                (bank || !this.challenge.bank);
+            if (!matched) {
+                player.letters++;
+                const letters = HORSE_WORD.slice(0, player.letters);
+                ui.updateGameStatus(player.letters === HORSE_WORD.length ?
+                    `💀 ${player.name} spells ${HORSE_WORD} and is out!` :
+                    `😬 ${player.name} picks up a letter: ${letters}`);
+            }
 
-    const laneSideGeo = new THREE.BoxGeometry(laneLength, 0.02, LINE_THICKNESS);
-    const topLaneLine = new THREE.Mesh(laneSideGeo, WHITE_LINE_MATERIAL);
-    topLaneLine.position.set((COURT_LENGTH / 2) - (laneLength / 2), y, laneWidth / 2);
-    topLaneLine.castShadow = true;
-    group.add(topLaneLine);
+            this.matchers.shift();
+            if (this.matchers.length === 0) {
+                this.challenge = null;
+                this.setterIndex = this.nextActiveAfter(this.setterIndex);
+            }
+        }
 
-    const bottomLaneLine = topLaneLine.clone();
-    bottomLaneLine.position.z = -topLaneLine.position.z;
-    group.add(bottomLaneLine);
+        this.updateScoreboard();
+        if (this.activePlayerIndices().length <= 1) gameModes.finish();
+    }
 
-    const freeThrowLineGeo = new THREE.BoxGeometry(LINE_THICKNESS, 0.02, laneWidth);
-    const freeThrowLine = new THREE.Mesh(freeThrowLineGeo, WHITE_LINE_MATERIAL);
-    freeThrowLine.position.set(freeThrowLineX, y, 0);
-    freeThrowLine.castShadow = true;
-    group.add(freeThrowLine);
+    rebound() {
+        this.beginTurn();
+    }
 
-    const freeThrowArcRadius = 1.8;
-    const arcRingGeo = new THREE.RingGeometry(freeThrowArcRadius - LINE_THICKNESS, freeThrowArcRadius, 64, 1, Math.PI / 2, Math.PI);
-    const arcLine = new THREE.Mesh(arcRingGeo, WHITE_LINE_MATERIAL);
-    arcLine.position.set(freeThrowLineX, y, 0);
-    arcLine.rotation.x = -Math.PI / 2;
-    arcLine.castShadow = true;
-    group.add(arcLine);
+    getAITurn() {
+        if (!this.challenge) return {};
+        const { spot, hoopIndex, finish } = this.challenge;
+        return { spot, hoopIndex, finish };
+    }
 
-    const arcFillerGeo = new THREE.CircleGeometry(freeThrowArcRadius - LINE_THICKNESS, 64, Math.PI / 2, Math.PI);
-    const arcFiller = new THREE.Mesh(arcFillerGeo, RED_PAINT_MATERIAL);
-    arcFiller.receiveShadow = true;
-    arcFiller.castShadow = true;
-    arcFiller.position.set(freeThrowLineX, y - 0.001, 0);
-    arcFiller.rotation.x = -Math.PI / 2;
-    group.add(arcFiller);
+    getPlayerLine(player) {
+        const letters = HORSE_WORD.slice(0, player.letters);
+        return letters ? letters.split('').join('-') : '—';
+    }
 
-    return group;
+    getResults() {
+        const winner = gameState.players[this.activePlayerIndices()[0]];
+        return [
+            ['Winner', `🏆 ${winner.name}`],
+            ...gameState.players.map(player => [player.name, `${this.getPlayerLine(player)} (${player.made}/${player.attempts})`])
+        ];
+    }
 }
 
-function createHoop() {
-    const group = new THREE.Group();
-    group.name = 'Hoop Assembly';
+class ShootoutMode extends TurnBasedMode {
+    constructor(options) {
+        super(options);
+        this.name = 'SHOOTOUT';
+    }
 
-    group.userData.net = {
-        geometries: [],
-        originalPositions: [],
-        animation: {
-            isActive: false,
-            time: 0,
-            duration: 2.0,
-            amplitude: 0.25,
-            frequency: 20.0,
-            speed: 12.0
+    start() {
+        super.start();
+        this.possession = 0;
+        this.setCurrentPlayer(0, `${SHOOTOUT_POSSESSIONS} possessions each - one shot per possession.`);
+    }
+
+    onShotResolved(made) {
+        const player = this.currentPlayer();
+        if (made) {
+            player.made++;
+            player.score += this.getShotPoints();
         }
-    };
+        this.possession++;
+        this.updateScoreboard();
 
-    const poleX = (COURT_LENGTH / 2) + POLE_RADIUS + 0.5;
-    const backboardX = poleX - POLE_RADIUS - BACKBOARD_DIST_FROM_BASELINE;
+        if (this.possession >= SHOOTOUT_POSSESSIONS * gameState.players.length) gameModes.finish();
+    }
 
-    const poleGeo = new THREE.CylinderGeometry(POLE_RADIUS, POLE_RADIUS * 1.1, RIM_Y + BACKBOARD_HEIGHT / 2, 32);
-    const pole = new THREE.Mesh(poleGeo, POLE_MATERIAL);
-    pole.castShadow = true;
-    pole.receiveShadow = true;
-    pole.position.set(poleX, (RIM_Y + BACKBOARD_HEIGHT / 2) / 2, 0);
-    group.add(pole);
+    rebound() {
+        // Possession alternates; the next shooter starts where the last shot went up
+        super.rebound();
+        const round = Math.floor(this.possession / gameState.players.length) + 1;
+        this.setCurrentPlayer(this.possession % gameState.players.length, `Possession ${round}/${SHOOTOUT_POSSESSIONS}.`);
+    }
 
-    const baseGeo = new THREE.CylinderGeometry(POLE_RADIUS * 1.8, POLE_RADIUS * 2.2, 0.4, 32);
-    const base = new THREE.Mesh(baseGeo, POLE_MATERIAL);
-    base.castShadow = true;
-    base.receiveShadow = true;
-    base.position.set(poleX, 0.2, 0);
-    group.add(base);
+    getResults() {
+        const standings = this.getStandings();
+        const tied = standings.length > 1 && standings[0].score === standings[1].score;
+        return [
+            ['Winner', tied ? '🤝 TIE GAME' : `🏆 ${standings[0].name}`],
+            ...standings.map(player => [player.name, `${player.score} pts (${player.made}/${player.attempts})`])
+        ];
+    }
+}
 
-    const backboardGeo = new THREE.BoxGeometry(0.08, BACKBOARD_HEIGHT, BACKBOARD_WIDTH);
-    const glassBackboard = new THREE.Mesh(backboardGeo, BACKBOARD_MATERIAL);
-    glassBackboard.name = 'backboard';
-    glassBackboard.castShadow = true;
-    glassBackboard.receiveShadow = true;
-    glassBackboard.position.set(backboardX, RIM_Y + (BACKBOARD_HEIGHT / 2) - 0.15, 0);
-    group.add(glassBackboard);
+const GAME_MODE_TYPES = [
+    {
+        label: '🏀 Free Shoot',
+        description: 'Endless practice, no clock',
+        create: () => new GameMode()
+    },
+    {
+        label: '⏱️ Timed Challenge',
+        description: `Score as much as you can in ${TIMED_CHALLENGE_SECONDS} seconds - the ball comes back after every shot`,
+        versusAI: true,
+        create: options => new TimedChallengeMode(options)
+    },
+    {
+        label: '🎯 Three-Point Contest',
+        description: `Five racks around the arc in ${CONTEST_SECONDS} seconds - money balls are worth 2`,
+        create: () => new ThreePointContestMode()
+    },
+    {
+        label: '📏 Free Throws',
+        description: `Sets of ${FREE_THROW_SET_SIZE} at the hoop you're facing, ${FREE_THROW_SHOT_CLOCK}-second shot clock, no stepping over the line`,
+        create: () => new FreeThrowMode()
+    },
+    {
+        label: '🌍 Around the World',
+        description: 'Make one from every spot around the hoop you\'re facing - chance shots and a personal best',
+        create: () => new AroundTheWorldMode()
+    },
+    {
+        label: '🐴 H-O-R-S-E',
+        description: `${MIN_PLAYERS}-${MAX_PLAYERS} players or the computer: make a shot and everyone else has to match it`,
+        multiplayer: true,
+        versusAI: true,
+        create: options => new HorseMode(options)
+    },
+    {
+        label: '🔄 Shootout',
+        description: `${MIN_PLAYERS}-${MAX_PLAYERS} players or the computer alternate possessions, ${SHOOTOUT_POSSESSIONS} shots each`,
+        multiplayer: true,
+        versusAI: true,
+        create: options => new ShootoutMode(options)
+    }
+];
 
-    group.userData.backboard = glassBackboard;
+class GameModeManager {
+    constructor() {
+        this.current = new GameMode();
+        this.modeType = GAME_MODE_TYPES[0];
+        this.reboundTimer = 0;
+        this.shotInFlight = false;
 
-    const squareGeo = new THREE.PlaneGeometry(0.59, 0.45);
-    const squareMaterial = new THREE.MeshStandardMaterial({
-        color: 0xff4500,
-        roughness: 0.8,
-        metalness: 0.1,
-        transparent: true,
-        opacity: 0.8
-    });
-    const square = new THREE.Mesh(squareGeo, squareMaterial);
-    square.position.set(glassBackboard.position.x - 0.041, RIM_Y + 0.225, 0);
-    square.rotation.y = Math.PI / 2;
-    square.castShadow = true;
-    group.add(square);
+        this.createOverlay();
+    }
 
-    const armLength = pole.position.x - POLE_RADIUS - (glassBackboard.position.x + 0.04);
-    const armGeo = new THREE.BoxGeometry(armLength, 0.12, 0.12);
-    const arm = new THREE.Mesh(armGeo, POLE_MATERIAL);
-    arm.castShadow = true;
-    arm.receiveShadow = true;
-    arm.position.set(glassBackboard.position.x + 0.04 + (armLength / 2), RIM_Y, 0);
-    group.add(arm);
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'game-ui mode-overlay';
+        document.body.appendChild(this.overlay);
+        this.shortcuts = {};
+    }
 
-    const connectorDepth = 0.15;
-    const connectorGeo = new THREE.BoxGeometry(connectorDepth, 0.08, 0.25);
-    const connector = new THREE.Mesh(connectorGeo, RIM_MATERIAL);
-    connector.position.set(glassBackboard.position.x - 0.04 - (connectorDepth / 2), RIM_Y, 0);
-    connector.castShadow = true;
-    group.add(connector);
+    isOverlayOpen() {
+        return this.overlay.style.display === 'block';
+    }
 
-    const rimGeo = new THREE.TorusGeometry(RIM_RADIUS, 0.025, 16, 64);
-    const rim = new THREE.Mesh(rimGeo, RIM_MATERIAL);
-    rim.castShadow = true;
-    rim.receiveShadow = true;
-    rim.position.set(connector.position.x - (connectorDepth / 2) - RIM_RADIUS, RIM_Y, 0);
-    rim.rotation.x = Math.PI / 2;
-    group.add(rim);
+    addOption(html, shortcut, action) {
+        const option = document.createElement('button');
+        option.className = 'mode-option';
+        option.innerHTML = html;
+        option.addEventListener('click', action);
+        this.overlay.appendChild(option);
+        this.shortcuts[shortcut] = action;
+    }
 
-    group.userData.rimPosition = rim.position.clone();
-    group.userData.rimRadius = RIM_RADIUS;
+    handleKey(e) {
+        const action = this.shortcuts[e.code];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    }
 
-    const netGroup = new THREE.Group();
-    const numMainStrands = 12;
-    const netLength = 0.45;
-    const netBottomRadius = RIM_RADIUS * 0.3;
+    showMenu() {
+        this.overlay.innerHTML = '<h2>🏀 CHOOSE YOUR GAME</h2>';
+        this.shortcuts = {};
+        GAME_MODE_TYPES.forEach((type, index) => {
+            const choose = () => (type.multiplayer || type.versusAI) ? this.showPlayerMenu(type) : this.startMode(type);
+            this.addOption(`${index + 1}. ${type.label}<small>${type.description}</small>`, `Digit${index + 1}`, choose);
+        });
+        this.addOption(`💦 Swish bonus: ${swishTracker.bonusEnabled ? 'ON' : 'OFF'} <small>S - swishes score +${SWISH_BONUS_POINTS} in point-per-basket modes</small>`, 'KeyS', () => {
+            swishTracker.toggleBonus();
+            this.showMenu();
+        });
+        this.addOption('⌨️ Key bindings <small>K - rebind any control</small>', 'KeyK', () => {
+            this.overlay.style.display = 'none';
+            keyBindings.open();
+        });
+        this.overlay.style.display = 'block';
+    }
 
-    const processStrand = (points) => {
-        const strandGeo = new THREE.BufferGeometry().setFromPoints(points);
-        const strand = new THREE.Line(strandGeo, NET_MATERIAL);
+    showPlayerMenu(type) {
+        this.overlay.innerHTML = `<h2>${type.label}</h2><div>Who's playing?</div>`;
+        this.shortcuts = {};
 
-        group.userData.net.geometries.push(strandGeo);
-        group.userData.net.originalPositions.push(strandGeo.attributes.position.clone());
+        const choices = [];
+        if (!type.multiplayer) {
+            choices.push({ label: '🏀 Solo', options: {} });
+        } else {
+            for (let count = MIN_PLAYERS; count <= MAX_PLAYERS; count++) {
+                choices.push({ label: `👥 ${count} Players`, options: { playerCount: count } });
+            }
+        }
+        if (type.versusAI) {
+            Object.entries(AI_DIFFICULTIES).forEach(([difficulty, settings]) => {
+                choices.push({ label: `🤖 You vs CPU - ${settings.label}`, options: { playerCount: 1, aiDifficulty: difficulty } });
+            });
+        }
 
-        netGroup.add(strand);
-    };
+        choices.forEach((choice, index) => {
+            this.addOption(`${index + 1}. ${choice.label}`, `Digit${index + 1}`, () => this.startMode(type, choice.options));
+        });
+        this.addOption('📋 Back <small>M</small>', 'KeyM', () => this.showMenu());
+    }
 
-    for (let i = 0; i < numMainStrands; i++) {
-        const angle = (i / numMainStrands) * Math.PI * 2;
-        const segmentCount = 10;
-        const strandPoints = [];
+    startMode(type, options = {}) {
+        this.overlay.style.display = 'none';
+        this.current.stop();
+        this.modeType = type;
+        this.modeOptions = options;
+        this.current = type.create(options);
+        this.reboundTimer = 0;
+        this.shotInFlight = false;
+
+        // Every mode starts from a clean scoreboard with the ball in hand
+        gameState.score = 0;
+        gameState.shotAttempts = 0;
+        gameState.shotsMade = 0;
+        ui.updateScore(gameState.score, gameState.shotAttempts, gameState.shotsMade);
+        ui.updateModeDisplay('');
+        InputSystem.placeBall(gameState.ballPosition.x, gameState.ballPosition.z);
 
-        for (let j = 0; j <= segmentCount; j++) {
-            const t = j / segmentCount;
-            const curveFactor = Math.sin(t * Math.PI) * 0.08;
-            const radiusAtPoint = RIM_RADIUS * 0.95 * (1 - t * 0.7) + netBottomRadius * t;
-            const swayFactor = Math.sin(angle * 3 + t * Math.PI) * 0.02;
+        this.current.start();
+    }
 
-            const x = radiusAtPoint * Math.cos(angle) + curveFactor * Math.cos(angle + Math.PI/2) + swayFactor;
-            const y = -t * netLength - Math.pow(t, 2.5) * 0.12;
-            const z = radiusAtPoint * Math.sin(angle) + curveFactor * Math.sin(angle + Math.PI/2) + swayFactor;
+    finish() {
+        const results = this.current.getResults();
+        this.overlay.innerHTML = `
+            <h2>🏆 ${this.current.name} RESULTS</h2>
+            ${results.map(([label, value]) => `<div class="results-row"><span>${label}</span><strong>${value}</strong></div>`).join('')}
+        `;
 
-            strandPoints.push(new THREE.Vector3(x, y, z));
-        }
-        processStrand(strandPoints);
+        const finishedType = this.modeType;
+        const finishedOptions = this.modeOptions;
+        this.shortcuts = {};
+        this.addOption('🔁 Play Again <small>ENTER</small>', 'Enter', () => this.startMode(finishedType, finishedOptions));
+        this.addOption('📋 Back to Menu <small>M</small>', 'KeyM', () => this.showMenu());
+        this.overlay.style.display = 'block';
+
+        this.current.stop();
+        this.current = new GameMode();
+        this.modeType = GAME_MODE_TYPES[0];
+        ui.updateModeDisplay('');
     }
 
-    const horizontalLevels = 5;
-    for (let level = 1; level <= horizontalLevels; level++) {
-        const levelHeight = -(level / horizontalLevels) * netLength * 0.85;
-        const levelRadius = RIM_RADIUS * 0.95 * (1 - (level / horizontalLevels) * 0.7) + netBottomRadius * (level / horizontalLevels);
-
-        for (let i = 0; i < numMainStrands; i++) {
-            const angle1 = (i / numMainStrands) * Math.PI * 2;
-            const angle2 = ((i + 1) / numMainStrands) * Math.PI * 2;
-            const sag = Math.pow(level / horizontalLevels, 2) * 0.03;
-            const x1 = levelRadius * Math.cos(angle1);
-            const z1 = levelRadius * Math.sin(angle1);
-            const x2 = levelRadius * Math.cos(angle2);
-            const z2 = levelRadius * Math.sin(angle2);
-            const midX = (x1 + x2) / 2;
-            const midZ = (z1 + z2) / 2;
+    update(deltaTime) {
+        // The mode clock stops while a menu or the key bindings panel is up
+        if (this.isOverlayOpen() || keyBindings.isOpen()) return;
 
-            const horizontalPoints = [
-                new THREE.Vector3(x1, levelHeight, z1),
-                new THREE.Vector3(midX, levelHeight - sag, midZ),
-                new THREE.Vector3(x2, levelHeight, z2)
-            ];
-            processStrand(horizontalPoints);
+        if (this.reboundTimer > 0) {
+            this.reboundTimer -= deltaTime;
+            if (this.reboundTimer <= 0) this.current.rebound();
         }
+
+        this.current.update(deltaTime);
     }
 
-    for (let i = 0; i < 8; i++) {
-        const angle = (Math.random() * Math.PI * 2);
-        const startRadius = RIM_RADIUS * (0.7 + Math.random() * 0.2);
-        const startX = startRadius * Math.cos(angle);
-        const startZ = startRadius * Math.sin(angle);
+    canShoot() {
+        return this.reboundTimer <= 0 && this.current.canShoot();
+    }
 
-        const loosePoints = [
-            new THREE.Vector3(startX, -netLength * 0.2, startZ),
-            new THREE.Vector3(startX * 0.9 + (Math.random() - 0.5) * 0.05, -netLength * 0.5, startZ * 0.9 + (Math.random() - 0.5) * 0.05),
-            new THREE.Vector3(startX * 0.6 + (Math.random() - 0.5) * 0.08, -netLength * 0.8, startZ * 0.6 + (Math.random() - 0.5) * 0.08),
-            new THREE.Vector3(startX * 0.3 + (Math.random() - 0.5) * 0.1, -netLength * 1.05, startZ * 0.3 + (Math.random() - 0.5) * 0.1)
-        ];
-        processStrand(loosePoints);
+    onShotTaken(shot) {
+        this.shotInFlight = true;
+        this.current.onShotTaken(shot);
     }
 
-    netGroup.position.copy(rim.position);
-    group.add(netGroup);
+    scheduleRebound() {
+        this.reboundTimer = REBOUND_DELAY;
+    }
 
-    return group;
+    onShotResolved(made) {
+        // Each shot reaches the mode exactly once
+        if (!this.shotInFlight) return;
+        this.shotInFlight = false;
+        if (this.current.autoRebound) this.scheduleRebound();
+        this.current.onShotResolved(made);
+    }
 }
 
-function createBall() {
-    const group = new THREE.Group();
-    group.name = "Basketball";
+// =============================================================================
+// AI OPPONENT
+// =============================================================================
 
-    const ballGeo = new THREE.SphereGeometry(BALL_RADIUS, 64, 64);
-    const ballMesh = new THREE.Mesh(ballGeo, BALL_MATERIAL);
-    ballMesh.castShadow = true;
-    ballMesh.receiveShadow = true;
-    group.add(ballMesh);
+// Noise is one standard deviation: power in shot-power units, aim and arc in degrees
+const AI_DIFFICULTIES = {
+    rookie: { label: 'ROOKIE', powerNoise: 0.05, aimNoise: 2.5, arcNoise: 5, minDistance: 2.5, maxDistance: 6.0, threeChance: 0.1 },
+    pro: { label: 'PRO', powerNoise: 0.025, aimNoise: 1.2, arcNoise: 3, minDistance: 3.0, maxDistance: 7.5, threeChance: 0.35 },
+    legend: { label: 'LEGEND', powerNoise: 0.01, aimNoise: 0.5, arcNoise: 1.5, minDistance: 4.0, maxDistance: 8.0, threeChance: 0.6 }
+};
+const AI_AIM_TIME = 0.8; // Seconds spent lining up before the release
+const AI_SPOT_ANGLE = 70; // Farthest spot off the lane axis the AI will pick (degrees)
+
+function randomGaussian() {
+    // Box-Muller transform
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
 
-    const seamTubeRadius = 0.001;
+// Drives the ball for a computer player: walks to a spot, lines up, and shoots
+// through InputSystem.shootBall like a human would, with difficulty-based noise.
+class AIShooter {
+    constructor() {
+        this.active = false;
+        this.phase = null; // 'walk' or 'aim'
+    }
 
-    function createTubeFromPath(path) {
-        const tubeGeo = new THREE.TubeGeometry(path, 128, seamTubeRadius, 8, path.closed);
-        return new THREE.Mesh(tubeGeo, BALL_SEAM_MATERIAL);
+    takeTurn(difficulty, { spot = null, hoopIndex = null, finish = '' } = {}) {
+        this.settings = AI_DIFFICULTIES[difficulty];
+        this.hoopIndex = hoopIndex ?? findNearestHoopIndex(world, gameState.ballPosition);
+        this.spot = spot ?? this.pickSpot();
+        this.finish = finish; // A layup or dunk to match is taken on a drive at the rim
+        this.phase = 'walk';
+        this.active = true;
+        shotMeter.charging = false;
     }
 
-    const mainSeamPath = new THREE.CatmullRomCurve3((() => {
-        const pts = [];
-        for (let i = 0; i <= 256; i++) {
-            const t = i / 256;
-            const θ = t * Math.PI * 2;
-            pts.push(new THREE.Vector3(
-                BALL_RADIUS * Math.cos(θ) * Math.cos(Math.sin(2 * θ)),
-                BALL_RADIUS * Math.sin(θ) * Math.cos(Math.sin(2 * θ)),
-                BALL_RADIUS * Math.sin(Math.sin(2 * θ))
-            ));
-        }
-        return pts;
-    })(), true);
-    group.add(createTubeFromPath(mainSeamPath));
+    cancel() {
+        this.active = false;
+        this.phase = null;
+    }
 
-    const oppositeSeamPath = new THREE.CatmullRomCurve3((() => {
-        const pts = [];
-        for (let i = 0; i <= 256; i++) {
-            const t = i / 256;
-            const θ = t * Math.PI * 2;
-            pts.push(new THREE.Vector3(
-                BALL_RADIUS * Math.cos(θ + Math.PI) * Math.cos(Math.sin(2 * θ + Math.PI)),
-                BALL_RADIUS * Math.sin(θ + Math.PI) * Math.cos(Math.sin(2 * θ + Math.PI)),
-                BALL_RADIUS * Math.sin(Math.sin(2 * θ + Math.PI))
-            ));
-        }
-        return pts;
-    })(), true);
-    group.add(createTubeFromPath(oppositeSeamPath));
+    pickSpot() {
+        const { rim, direction } = world.hoops[this.hoopIndex];
+        const settings = this.settings;
 
-    const createVerticalSeam = (rotation) => new THREE.CatmullRomCurve3((() => {
-        const pts = [];
-        for (let i = 0; i <= 128; i++) {
-            const t = i / 128;
-            const φ = t * Math.PI;
-            pts.push(new THREE.Vector3(
-                BALL_RADIUS * Math.sin(φ) * Math.cos(rotation),
-                BALL_RADIUS * Math.cos(φ),
-                BALL_RADIUS * Math.sin(φ) * Math.sin(rotation)
-            ));
-        }
-        return pts;
-    })(), false);
+        const distance = Math.random() < settings.threeChance ?
+            THREE_POINT_ARC_RADIUS + 0.3 + Math.random() * (settings.maxDistance - THREE_POINT_ARC_RADIUS) :
+            settings.minDistance + Math.random() * (Math.min(settings.maxDistance, THREE_POINT_ARC_RADIUS - 0.3) - settings.minDistance);
+        const angle = THREE.MathUtils.degToRad((Math.random() * 2 - 1) * AI_SPOT_ANGLE);
 
-    for (let i = 0; i < 4; i++) {
-        const verticalSeamCurve = createVerticalSeam((i * Math.PI) / 2);
-        group.add(createTubeFromPath(verticalSeamCurve));
+        const maxZ = COURT_WIDTH / 2 - 0.3;
+        return {
+            x: rim.x - direction * distance * Math.cos(angle),
+            z: THREE.MathUtils.clamp(distance * Math.sin(angle), -maxZ, maxZ)
+        };
     }
 
-    const horizontalSeamPath = new THREE.CatmullRomCurve3((() => {
-        const pts = [];
-        for (let i = 0; i <= 256; i++) {
-            const t = i / 256;
-            const θ = t * Math.PI * 2;
-            pts.push(new THREE.Vector3(
-                BALL_RADIUS * Math.cos(θ),
-                0,
-                BALL_RADIUS * Math.sin(θ)
-            ));
+    update(deltaTime) {
+        if (!this.active || gameState.isShooting) return;
+
+        if (this.phase === 'walk') {
+            const target = new THREE.Vector3(this.spot.x, BALL_REST_Y, this.spot.z);
+            const remaining = target.distanceTo(gameState.ballPosition);
+            const step = BALL_MOVEMENT_SPEED * deltaTime;
+
+            if (remaining > step) {
+                InputSystem.rollBall(gameState.ballPosition.clone().lerp(target, step / remaining), deltaTime);
+            } else {
+                gameState.ballPosition.copy(target);
+                gameState.isMoving = false;
+                gameState.ballAngularVelocity.set(0, 0, 0);
+                this.lineUp();
+            }
+            gameState.aimHeading = headingToHoop(world, gameState.ballPosition, this.hoopIndex);
+            return;
         }
-        return pts;
-    })(), true);
-    group.add(createTubeFromPath(horizontalSeamPath));
 
-    const logoSize = BALL_RADIUS * 0.6;
-    const logoGeo = new THREE.PlaneGeometry(logoSize, logoSize);
+        // Lining up: ease power, aim and arc towards the chosen values so players can watch
+        this.aimTimer -= deltaTime;
+        const blend = 1 - Math.exp(-6 * deltaTime);
+        gameState.shotPower += (this.shot.power - gameState.shotPower) * blend;
+        gameState.aimHeading += (this.shot.heading - gameState.aimHeading) * blend;
+        gameState.releaseAngle += (this.shot.releaseAngle - gameState.releaseAngle) * blend;
+        ui.updatePower(gameState.shotPower);
 
-    const logoPositions = [
-        { position: new THREE.Vector3(BALL_RADIUS, 0, 0), normal: new THREE.Vector3(1, 0, 0) },
-        { position: new THREE.Vector3(-BALL_RADIUS, 0, 0), normal: new THREE.Vector3(-1, 0, 0) }
-    ];
+        if (this.aimTimer <= 0) {
+            gameState.shotPower = this.shot.power;
+            gameState.aimHeading = this.shot.heading;
+            gameState.releaseAngle = this.shot.releaseAngle;
+            if (this.finish) {
+                const rim = world.hoops[this.hoopIndex].rim;
+                gameState.isMoving = true;
+                gameState.moveDirection.set(rim.x - gameState.ballPosition.x, 0, rim.z - gameState.ballPosition.z);
+            }
+            this.cancel();
+            InputSystem.shootBall({ byComputer: true });
+        }
+    }
 
-    logoPositions.forEach((logoData, index) => {
-        const logoMesh = new THREE.Mesh(logoGeo, BALL_LOGO_MATERIAL);
-        logoMesh.renderOrder = 1;
-        logoMesh.position.copy(logoData.position);
-        logoMesh.position.addScaledVector(logoData.normal, 0.001);
-        logoMesh.lookAt(logoData.position.clone().multiplyScalar(2));
-        logoMesh.castShadow = false;
-        group.add(logoMesh);
-    });
+    lineUp() {
+        // The perfect shot from here, then noise on every input that scales with difficulty
+        const settings = this.settings;
+        const heading = headingToHoop(world, gameState.ballPosition, this.hoopIndex);
+        const perfect = computeShot(world, gameState.ballPosition, gameState.shotPower, {
+            heading,
+            releaseAngle: DEFAULT_RELEASE_ANGLE
+        });
 
-    return group;
+        const idealPower = this.finish ? FINISH_IDEAL_POWER : perfect.idealPower;
+
+        this.shot = {
+            power: THREE.MathUtils.clamp(idealPower + randomGaussian() * settings.powerNoise, MIN_SHOT_POWER, MAX_SHOT_POWER),
+            heading: heading + THREE.MathUtils.degToRad(randomGaussian() * settings.aimNoise),
+            releaseAngle: THREE.MathUtils.clamp(DEFAULT_RELEASE_ANGLE + randomGaussian() * settings.arcNoise, MIN_RELEASE_ANGLE, MAX_RELEASE_ANGLE)
+        };
+        this.phase = 'aim';
+        this.aimTimer = AI_AIM_TIME;
+    }
 }
 
 // =============================================================================
-// ENHANCED PHYSICS SYSTEM
+// DEFENDER
 // =============================================================================
 
-class PhysicsSystem {
-    static updateBallPhysics(deltaTime) {
-        // Store last position for trail effects
-        gameState.lastBallPosition.copy(gameState.ballPosition);
-
-        if (gameState.isShooting) {
-            // Apply gravity
-            gameState.ballVelocity.y += GRAVITY * deltaTime;
+const DEFENDER_DIFFICULTIES = {
+    easy: { label: 'EASY', reactionTime: 0.4, speed: 2.5, jumpSpeed: 3.2, contestError: 0.6 },
+    medium: { label: 'MEDIUM', reactionTime: 0.25, speed: 3.5, jumpSpeed: 3.8, contestError: 1.0 },
+    hard: { label: 'HARD', reactionTime: 0.12, speed: 4.2, jumpSpeed: 4.4, contestError: 1.4 }
+};
+const DEFENDER_GUARD_DISTANCE = 1.8; // Gap kept between the defender and the ball, on the hoop side
+const DEFENDER_BLOCK_WINDOW = 0.6; // Seconds after the release the ball can still hit the defender
+const DEFENDER_AIM_ERROR = 4; // Aim wobble at full contest (degrees, one standard deviation)
+const DEFENDER_POWER_ERROR = 0.08; // Power wobble at full contest (one standard deviation)
 
-            // Update position based on velocity
-            const deltaPos = gameState.ballVelocity.clone().multiplyScalar(deltaTime);
-            gameState.ballPosition.add(deltaPos);
+function createDefenderMesh() {
+    // Low-poly figure facing +X with both arms up, about as tall as the collision capsule
+    const group = new THREE.Group();
+    const addPart = (geometry, material, x, y, z) => {
+        const part = new THREE.Mesh(geometry, material);
+        part.position.set(x, y, z);
+        part.castShadow = true;
+        group.add(part);
+    };
 
-            // Create ball trail particles
-            if (particleSystem && gameState.ballVelocity.length() > 2) {
-                particleSystem.createBallTrail(gameState.ballPosition);
-            }
+    const legGeometry = new THREE.CylinderGeometry(0.09, 0.07, 0.9, 8);
+    addPart(legGeometry, DEFENDER_SKIN_MATERIAL, 0, 0.45, -0.12);
+    addPart(legGeometry, DEFENDER_SKIN_MATERIAL, 0, 0.45, 0.12);
+    addPart(new THREE.CylinderGeometry(DEFENDER_RADIUS * 0.9, DEFENDER_RADIUS * 0.75, 0.7, 8), DEFENDER_JERSEY_MATERIAL, 0, 1.25, 0);
+    addPart(new THREE.SphereGeometry(0.13, 12, 8), DEFENDER_SKIN_MATERIAL, 0, 1.75, 0);
+
+    const armGeometry = new THREE.CylinderGeometry(0.05, 0.06, 0.75, 6);
+    const handGeometry = new THREE.SphereGeometry(0.07, 8, 6);
+    [-1, 1].forEach(side => {
+        addPart(armGeometry, DEFENDER_SKIN_MATERIAL, 0, 1.9, side * 0.3);
+        addPart(handGeometry, DEFENDER_SKIN_MATERIAL, 0, DEFENDER_REACH - 0.2, side * 0.3);
+    });
 
-            // Ground collision detection and bouncing
-            if (gameState.ballPosition.y <= COURT_FLOOR_Y + BALL_RADIUS + LINES_Y_OFFSET) {
-                gameState.ballPosition.y = COURT_FLOOR_Y + BALL_RADIUS + LINES_Y_OFFSET;
-                gameState.ballVelocity.y = -gameState.ballVelocity.y * BOUNCE_DAMPING;
-                gameState.ballVelocity.x *= BOUNCE_DAMPING;
-                gameState.ballVelocity.z *= BOUNCE_DAMPING;
+    return group;
+}
 
-                // Create dust particles on bounce
-                if (particleSystem) {
-                    particleSystem.createCourtDust(gameState.ballPosition);
-                }
+// Optional on-ball defender: shadows the ball between it and the hoop, contests
+// shots inside its range and jumps after its reaction time to try for the block.
+class Defender {
+    constructor() {
+        this.difficulty = null; // Off until cycled on with V
+        this.body = createDefender();
+        this.previousPosition = new THREE.Vector3();
+        this.jumpTimer = null; // Reaction countdown to the jump, while a contested shot is up
+        this.flightTime = 0;
+
+        this.mesh = createDefenderMesh();
+        this.mesh.visible = false;
+        scene.add(this.mesh);
+    }
 
-                // Stop ball if velocity is too low
-                if (Math.abs(gameState.ballVelocity.y) < 0.1 &&
-                    gameState.ballVelocity.length() < 0.5) {
-                    gameState.ballVelocity.set(0, 0, 0);
-                    gameState.ballAngularVelocity.set(0, 0, 0);
-                    gameState.isShooting = false;
-                }
-            }
+    get enabled() {
+        return this.difficulty !== null;
+    }
 
-            // Court boundary collision detection
-            const courtEdgeX = COURT_LENGTH / 2 - BALL_RADIUS;
-            if (gameState.ballPosition.x >= courtEdgeX) {
-                gameState.ballPosition.x = courtEdgeX;
-                gameState.ballVelocity.x = -gameState.ballVelocity.x * BOUNCE_DAMPING;
-            } else if (gameState.ballPosition.x <= -courtEdgeX) {
-                gameState.ballPosition.x = -courtEdgeX;
-                gameState.ballVelocity.x = -gameState.ballVelocity.x * BOUNCE_DAMPING;
-            }
+    cycleDifficulty() {
+        const levels = [null, ...Object.keys(DEFENDER_DIFFICULTIES)];
+        this.difficulty = levels[(levels.indexOf(this.difficulty) + 1) % levels.length];
+        this.mesh.visible = this.enabled;
+        this.jumpTimer = null;
+
+        if (this.enabled) {
+            // Step straight into position rather than running in from the last spot
+            const spot = this.getGuardSpot();
+            this.body.position.x = spot.x;
+            this.body.position.z = spot.z;
+            this.previousPosition.copy(this.body.position);
+            ui.updateGameStatus(`🛡️ Defender ON: ${DEFENDER_DIFFICULTIES[this.difficulty].label}`);
+        } else {
+            ui.updateGameStatus('🛡️ Defender OFF');
+        }
+    }
 
-            const courtEdgeZ = COURT_WIDTH / 2 - BALL_RADIUS;
-            if (gameState.ballPosition.z >= courtEdgeZ) {
-                gameState.ballPosition.z = courtEdgeZ;
-                gameState.ballVelocity.z = -gameState.ballVelocity.z * BOUNCE_DAMPING;
-            } else if (gameState.ballPosition.z <= -courtEdgeZ) {
-                gameState.ballPosition.z = -courtEdgeZ;
-                gameState.ballVelocity.z = -gameState.ballVelocity.z * BOUNCE_DAMPING;
-            }
+    getGuardSpot() {
+        // While a shot is up the defender closes out on the shooter, not the ball
+        const guarded = gameState.isShooting ? gameState.shotOrigin : gameState.ballPosition;
+        const hoop = world.hoops[gameState.isShooting ? gameState.targetHoopIndex : findNearestHoopIndex(world, guarded)];
+        const toHoop = new THREE.Vector2(hoop.rim.x - guarded.x, hoop.rim.z - guarded.z);
+        const gap = Math.min(DEFENDER_GUARD_DISTANCE, toHoop.length());
+        if (toHoop.lengthSq() > 1e-6) toHoop.normalize();
 
-            // Enhanced ball rotation
-            const velocityLength = gameState.ballVelocity.length();
-            if (velocityLength > 0.1) {
-                const rotationAxis = new THREE.Vector3(-gameState.ballVelocity.z, 0, gameState.ballVelocity.x).normalize();
-                const rotationSpeed = velocityLength * ROTATION_SCALE * deltaTime;
-                gameState.ballAngularVelocity.copy(rotationAxis.multiplyScalar(rotationSpeed));
-            }
+        return { x: guarded.x + toHoop.x * gap, z: guarded.z + toHoop.y * gap };
+    }
 
-            gameState.ballRotation.add(gameState.ballAngularVelocity);
+    // Whether a shot from `origin` would be contested right now, without the defender reacting
+    wouldContest(origin) {
+        return this.enabled && contestFactor(this.body, origin) > 0;
+    }
 
-            this.checkBackboardCollision();
-            this.checkHoopCollision();
-        }
+    // Contest strength for a shot released at `origin`, scaled by difficulty; starts the jump countdown
+    contestShot(origin) {
+        this.flightTime = 0;
+        if (!this.enabled) return 0;
 
-        // Update ball visual position and rotation
-        if (ballGroup) {
-            ballGroup.position.copy(gameState.ballPosition);
-            ballGroup.rotation.x = gameState.ballRotation.x;
-            ballGroup.rotation.y = gameState.ballRotation.y;
-            ballGroup.rotation.z = gameState.ballRotation.z;
-        }
+        const contest = contestFactor(this.body, origin);
+        if (contest > 0) this.jumpTimer = DEFENDER_DIFFICULTIES[this.difficulty].reactionTime;
+        return contest * DEFENDER_DIFFICULTIES[this.difficulty].contestError;
     }
 
-    static checkBackboardCollision() {
-        if (!rightHoop || !leftHoop) return;
-
-        const hoops = [rightHoop, leftHoop];
+    update(deltaTime) {
+        this.previousPosition.copy(this.body.position);
+        if (!this.enabled) return;
 
-        hoops.forEach(hoop => {
-            if (!hoop.userData.backboard) return;
+        const settings = DEFENDER_DIFFICULTIES[this.difficulty];
+        if (gameState.isShooting) this.flightTime += deltaTime;
 
-            const backboard = hoop.userData.backboard;
-            const backboardPos = new THREE.Vector3();
-            hoop.localToWorld(backboardPos.copy(backboard.position));
+        if (this.jumpTimer !== null) {
+            this.jumpTimer -= deltaTime;
+            if (this.jumpTimer <= 0) {
+                jumpDefender(this.body, settings.jumpSpeed);
+                this.jumpTimer = null;
+            }
+        }
 
-            const backboardWidth = BACKBOARD_WIDTH;
-            const backboardHeight = BACKBOARD_HEIGHT;
-            const backboardThickness = 0.08;
+        // No steering in the air: the defender keeps whatever run-up it jumped with
+        if (!this.body.airborne) {
+            const spot = this.getGuardSpot();
+            const toSpot = new THREE.Vector2(spot.x - this.body.position.x, spot.z - this.body.position.z);
+            const maxSpeed = Math.min(settings.speed, toSpot.length() / deltaTime);
+            if (toSpot.lengthSq() > 1e-6) toSpot.normalize().multiplyScalar(maxSpeed);
+            this.body.velocity.x = toSpot.x;
+            this.body.velocity.z = toSpot.y;
+        }
 
-            const ballToBackboard = gameState.ballPosition.clone().sub(backboardPos);
-            const isWithinHeight = Math.abs(ballToBackboard.y) <= (backboardHeight / 2 + BALL_RADIUS);
-            const isWithinWidth = Math.abs(ballToBackboard.z) <= (backboardWidth / 2 + BALL_RADIUS);
+        stepDefender(this.body, world, deltaTime);
+    }
 
-            if (isWithinHeight && isWithinWidth) {
-                let hitFromFront = false;
+    collide() {
+        if (!this.enabled || this.flightTime > DEFENDER_BLOCK_WINDOW) return null;
+        return collideDefender(gameState, this.body);
+    }
 
-                if (hoop === rightHoop) {
-                    hitFromFront = gameState.ballPosition.x < backboardPos.x;
-                } else {
-                    hitFromFront = gameState.ballPosition.x > backboardPos.x;
-                }
+    syncVisual(alpha) {
+        if (!this.enabled) return;
 
-                const distanceToBackboard = Math.abs(ballToBackboard.x);
-                const collisionThreshold = (backboardThickness / 2) + BALL_RADIUS;
-
-                if (distanceToBackboard <= collisionThreshold) {
-                    if (hoop === rightHoop) {
-                        if (hitFromFront) {
-                            gameState.ballPosition.x = backboardPos.x - collisionThreshold;
-                        } else {
-                            gameState.ballPosition.x = backboardPos.x + collisionThreshold;
-                        }
-                    } else {
-                        if (hitFromFront) {
-                            gameState.ballPosition.x = backboardPos.x + collisionThreshold;
-                        } else {
-                            gameState.ballPosition.x = backboardPos.x - collisionThreshold;
-                        }
-                    }
-
-                    gameState.ballVelocity.x = -gameState.ballVelocity.x * BOUNCE_DAMPING * BACKBOARD_DAMP_FACTOR;
-                    gameState.ballVelocity.y *= BOUNCE_DAMPING * 0.9 * BACKBOARD_DAMP_FACTOR;
-                    gameState.ballVelocity.z *= BOUNCE_DAMPING * 0.95 * BACKBOARD_DAMP_FACTOR;
-
-                    ui.updateGameStatus('Ball hit the backboard! 🏀');
-                }
-            }
-        });
+        this.mesh.position.lerpVectors(this.previousPosition, this.body.position, alpha);
+        // Square up to the ball
+        this.mesh.rotation.y = Math.atan2(-(ballGroup.position.z - this.mesh.position.z), ballGroup.position.x - this.mesh.position.x);
     }
+}
 
-    static checkHoopCollision() {
-        if (!rightHoop || !leftHoop) return;
+// =============================================================================
+// CAMERA DIRECTOR
+// =============================================================================
 
-        const hoops = [rightHoop, leftHoop];
-        const rimThickness = 0.025;
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
 
-        hoops.forEach((hoop, hoopIndex) => {
-            if (!hoop.userData.rimPosition) return;
+// Switchable camera presets. The free preset hands the camera to OrbitControls; the others
+// place it every frame, and switching cuts between them with an eased move.
+class CameraDirector {
+    constructor() {
+        this.preset = 'free';
+        this.freeView = {
+            position: camera.position.clone(),
+            target: controls.target.clone(),
+            controlsEnabled: controls.enabled
+        };
+        this.cut = null; // { fromPosition, fromTarget, time } while easing into a preset
 
-            const rimPos = new THREE.Vector3();
-            hoop.localToWorld(rimPos.copy(hoop.userData.rimPosition));
+        const saved = this.load();
+        this.setPreset(CAMERA_PRESETS.some(preset => preset.id === saved) ? saved : 'free', false);
+    }
 
-            const ballToRim = gameState.ballPosition.clone().sub(rimPos);
-            const horizontalDistance = Math.sqrt(ballToRim.x * ballToRim.x + ballToRim.z * ballToRim.z);
-            const verticalDistance = Math.abs(ballToRim.y);
+    load() {
+        try {
+            return localStorage.getItem(CAMERA_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
 
-            // Check for made basket
-            if (horizontalDistance < RIM_RADIUS - BALL_RADIUS * 0.5 &&
-                verticalDistance < BALL_RADIUS &&
-                gameState.ballVelocity.y < 0) {
+    save() {
+        try {
+            localStorage.setItem(CAMERA_STORAGE_KEY, this.preset);
+        } catch (error) {
+            console.warn('Camera preset could not be saved:', error);
+        }
+    }
 
-                this.scoreBasket(hoop);
+    nextPreset() {
+        const index = CAMERA_PRESETS.findIndex(preset => preset.id === this.preset);
+        this.setPreset(CAMERA_PRESETS[(index + 1) % CAMERA_PRESETS.length].id);
+    }
 
-            // Check for rim collision
-            } else if (verticalDistance < BALL_RADIUS + rimThickness &&
-                       horizontalDistance > RIM_RADIUS - BALL_RADIUS &&
-                       horizontalDistance < RIM_RADIUS + rimThickness) {
+    setPreset(id, announce = true) {
+        // Remember where the orbit camera was so coming back to it returns there
+        if (this.preset === 'free' && id !== 'free') {
+            this.freeView = {
+                position: camera.position.clone(),
+                target: controls.target.clone(),
+                controlsEnabled: controls.enabled
+            };
+        }
 
-                const collisionNormal = new THREE.Vector3(ballToRim.x, 0, ballToRim.z).normalize();
-                gameState.ballVelocity.reflect(collisionNormal);
-                gameState.ballVelocity.multiplyScalar(BOUNCE_DAMPING);
-                gameState.ballVelocity.y = Math.abs(gameState.ballVelocity.y * BOUNCE_DAMPING * 0.5) + 0.5;
+        this.preset = id;
+        this.cut = { fromPosition: camera.position.clone(), fromTarget: controls.target.clone(), time: 0 };
+        controls.enabled = false;
+        this.save();
 
-                const repositionVector = collisionNormal.clone().multiplyScalar(RIM_RADIUS + BALL_RADIUS - horizontalDistance + 0.01);
-                gameState.ballPosition.add(repositionVector);
+        const label = CAMERA_PRESETS.find(preset => preset.id === id).label;
+        ui.updateCameraPreset(label);
+        if (announce) ui.updateGameStatus(`📷 Camera: ${label}`);
+    }
 
-                // Create rim spark particles
-                if (particleSystem) {
-                    particleSystem.createRimSparks(rimPos);
+    getPose() {
+        const ball = gameState.ballPosition;
+        const heading = new THREE.Vector3(Math.cos(gameState.aimHeading), 0, Math.sin(gameState.aimHeading));
+
+        switch (this.preset) {
+            case 'free':
+                return { position: this.freeView.position, target: this.freeView.target, rate: CAMERA_FOLLOW_RATE };
+
+            case 'follow':
+                if (gameState.isShooting) {
+                    // Chase from behind the ball along its flight, a little above it
+                    const flight = new THREE.Vector3(gameState.ballVelocity.x, 0, gameState.ballVelocity.z);
+                    if (flight.lengthSq() < 1e-4) flight.copy(heading);
+                    flight.normalize();
+                    return {
+                        position: ball.clone().addScaledVector(flight, -3.0).add(new THREE.Vector3(0, 1.2, 0)),
+                        target: ball.clone(),
+                        rate: CAMERA_CHASE_RATE
+                    };
+                }
+                return this.getShooterPose(ball, heading);
+
+            case 'shooter': {
+                // Stays planted behind the release point while the shot is up, watching the ball
+                if (gameState.isShooting) {
+                    const pose = this.getShooterPose(gameState.shotOrigin, heading);
+                    pose.target.lerp(ball, 0.5);
+                    return pose;
                 }
+                return this.getShooterPose(ball, heading);
+            }
 
-                const hoopSide = hoopIndex === 0 ? 'right' : 'left';
-                ui.updateGameStatus(`Clank! Off the ${hoopSide} rim! 💥`);
+            case 'broadcast':
+                return {
+                    position: new THREE.Vector3(ball.x * 0.6, 7.0, COURT_WIDTH / 2 + 9),
+                    target: new THREE.Vector3(ball.x * 0.8, 1.0, ball.z * 0.3),
+                    rate: CAMERA_FOLLOW_RATE
+                };
+
+            case 'baseline': {
+                // Low under the basket being attacked, looking back out at the shooter
+                const hoopIndex = gameState.isShooting ? gameState.targetHoopIndex : findAimedHoopIndex(world, ball, gameState.aimHeading);
+                const { rim, direction } = world.hoops[hoopIndex];
+                return {
+                    position: new THREE.Vector3(direction * (COURT_LENGTH / 2 - 0.4), 1.3, 0.8),
+                    target: new THREE.Vector3(rim.x, rim.y, rim.z).lerp(ball, 0.6),
+                    rate: CAMERA_FOLLOW_RATE
+                };
             }
-        });
+        }
     }
 
-    static scoreBasket(hoop) {
-        if (gameState.lastShotResult !== 'made') {
-            const points = gameState.isThreePointer ? 3 : 2;
-            gameState.score += points;
-            gameState.shotsMade++;
-            gameState.lastShotResult = 'made';
-            ui.updateScore(gameState.score, gameState.shotAttempts, gameState.shotsMade);
+    getShooterPose(anchor, heading) {
+        return {
+            position: new THREE.Vector3(anchor.x, 0, anchor.z).addScaledVector(heading, -4.5).setY(2.4),
+            target: new THREE.Vector3(anchor.x, 1.5, anchor.z).addScaledVector(heading, 6),
+            rate: CAMERA_FOLLOW_RATE
+        };
+    }
 
-            // Trigger net animation
-            if (hoop && hoop.userData.net) {
-                hoop.userData.net.animation.isActive = true;
-                hoop.userData.net.animation.time = 0;
-            }
+    update(deltaTime) {
+        if (this.preset === 'free' && !this.cut) return;
 
-            // Create score explosion particles
-            if (particleSystem) {
-                const rimPos = new THREE.Vector3();
-                hoop.localToWorld(rimPos.copy(hoop.userData.rimPosition));
-                particleSystem.createScoreExplosion(rimPos, gameState.isThreePointer);
-            }
+        const pose = this.getPose();
 
-            const shotTypeText = gameState.isThreePointer ? '3-POINTER MADE! 🔥' : 'SHOT MADE! 🎉';
-            const encouragementText = gameState.isThreePointer ? 'From downtown! Amazing!' : 'Great shooting!';
+        if (this.cut) {
+            this.cut.time += deltaTime;
+            const progress = Math.min(1, this.cut.time / CAMERA_CUT_TIME);
+            const eased = easeInOutCubic(progress);
+            camera.position.lerpVectors(this.cut.fromPosition, pose.position, eased);
+            controls.target.lerpVectors(this.cut.fromTarget, pose.target, eased);
 
-            setTimeout(() => {
-                ui.showShotFeedback(true);
-                ui.updateGameStatus(`${shotTypeText} ${encouragementText} 🏀`);
-            }, 500);
+            if (progress >= 1) {
+                this.cut = null;
+                if (this.preset === 'free') controls.enabled = this.freeView.controlsEnabled;
+            }
+        } else {
+            const blend = 1 - Math.exp(-pose.rate * deltaTime);
+            camera.position.lerp(pose.position, blend);
+            controls.target.lerp(pose.target, blend);
         }
+        camera.lookAt(controls.target);
     }
 }
 
 // =============================================================================
-// ENHANCED INPUT SYSTEM
+// SOUND EFFECTS
 // =============================================================================
 
-class InputSystem {
-    static handleInput(deltaTime) {
-        if (gameState.isShooting) return;
+// Short synthesized cues, so the game needs no audio files. Pitch glides from frequency to
+// endFrequency over the cue's duration while the volume decays.
+const SOUND_CUES = {
+    bounce: { wave: 'sine', frequency: 110, endFrequency: 55, duration: 0.15, gain: 0.6 },
+    rim: { wave: 'triangle', frequency: 900, endFrequency: 700, duration: 0.35, gain: 0.25 },
+    backboard: { wave: 'square', frequency: 160, endFrequency: 90, duration: 0.12, gain: 0.15 },
+    score: { wave: 'sine', frequency: 520, endFrequency: 1040, duration: 0.4, gain: 0.3 }
+};
 
-        let moved = false;
-        const moveVector = new THREE.Vector3();
+class SoundEffects {
+    constructor() {
+        this.context = null;
 
-        // Arrow key movement (slower and more controlled)
-        if (gameState.keys['ArrowLeft']) {
-            moveVector.x = -BALL_MOVEMENT_SPEED;
-            moved = true;
-        }
-        if (gameState.keys['ArrowRight']) {
-            moveVector.x = BALL_MOVEMENT_SPEED;
-            moved = true;
-        }
-        if (gameState.keys['ArrowUp']) {
-            moveVector.z = -BALL_MOVEMENT_SPEED;
-            moved = true;
-        }
-        if (gameState.keys['ArrowDown']) {
-            moveVector.z = BALL_MOVEMENT_SPEED;
-            moved = true;
+        // Browsers only allow audio after the player has interacted with the page
+        const unlock = () => this.unlock();
+        window.addEventListener('keydown', unlock);
+        window.addEventListener('pointerdown', unlock);
+    }
+
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.context = new AudioContextClass();
         }
+        if (this.context.state === 'suspended') this.context.resume();
+    }
 
-        // Apply movement with boundary checking
-        if (moved) {
-            const newPosition = gameState.ballPosition.clone().add(moveVector);
+    play(name, strength = 1) {
+        const volume = gameSettings.get('volume') * Math.min(1, strength);
+        if (!this.context || this.context.state !== 'running' || volume <= 0.01) return;
 
-            // Keep ball within court boundaries
-            const maxX = COURT_LENGTH / 2 - BALL_RADIUS;
-            const maxZ = COURT_WIDTH / 2 - BALL_RADIUS;
+        const cue = SOUND_CUES[name];
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
 
-            newPosition.x = Math.max(-maxX, Math.min(maxX, newPosition.x));
-            newPosition.z = Math.max(-maxZ, Math.min(maxZ, newPosition.z));
+        oscillator.type = cue.wave;
+        oscillator.frequency.setValueAtTime(cue.frequency, now);
+        oscillator.frequency.exponentialRampToValueAtTime(cue.endFrequency, now + cue.duration);
+        gain.gain.setValueAtTime(cue.gain * volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + cue.duration);
 
-            gameState.ballPosition.copy(newPosition);
+        oscillator.connect(gain).connect(this.context.destination);
+        oscillator.start(now);
+        oscillator.stop(now + cue.duration);
+    }
+}
 
-            // Add rotation during movement
-            const rotationAxis = new THREE.Vector3(-moveVector.z, 0, moveVector.x).normalize();
-            const rotationSpeed = moveVector.length() * ROTATION_SCALE * deltaTime;
-            gameState.ballAngularVelocity.copy(rotationAxis.multiplyScalar(rotationSpeed));
-            gameState.ballRotation.add(gameState.ballAngularVelocity);
+// =============================================================================
+// SETTINGS & PAUSE MENU
+// =============================================================================
 
-            gameState.isMoving = true;
-        } else {
-            gameState.isMoving = false;
-            gameState.ballAngularVelocity.multiplyScalar(0.95);
-        }
+const SETTINGS_STORAGE_KEY = 'superArena.settings';
+
+const SETTINGS_PAGES = [
+    { id: 'gameplay', label: '🏀 Gameplay' },
+    { id: 'graphics', label: '🎨 Graphics' },
+    { id: 'audio', label: '🔊 Audio' },
+    { id: 'controls', label: '🎮 Controls' }
+];
+
+// Tunables exposed in the settings page. The constants above stay the defaults; options
+// turns a setting into a drop-down, and apply pushes a change into systems that cache it
+// (everything else is read live through gameSettings.get).
+const SETTING_DEFINITIONS = [
+    {
+        id: 'moveSpeed', page: 'gameplay', label: 'Movement speed',
+        min: 2, max: 8, step: 0.2, defaultValue: BALL_MOVEMENT_SPEED,
+        format: value => `${value.toFixed(1)} m/s`
+    },
+    {
+        id: 'powerStep', page: 'gameplay', label: 'Power adjust rate',
+        min: 0.02, max: 0.2, step: 0.004, defaultValue: POWER_STEP,
+        format: value => `${(value * 100).toFixed(1)}%/s`
+    },
+    {
+        id: 'bounceDamping', page: 'gameplay', label: 'Floor and wall bounce',
+        min: 0.4, max: 0.9, step: 0.05, defaultValue: BOUNCE_DAMPING,
+        format: value => `${Math.round(value * 100)}% kept`,
+        apply: value => { world.physics.bounceDamping = value; }
+    },
+    {
+        id: 'maxParticles', page: 'graphics', label: 'Particle limit',
+        min: 0, max: 1000, step: 50, defaultValue: MAX_QUALITY_PARTICLES,
+        format: value => `${value}`,
+        apply: value => { particleSystem.maxParticles = value; }
+    },
+    {
+        id: 'particleDensity', page: 'graphics', label: 'Particle density',
+        min: 0.25, max: 1, step: 0.25, defaultValue: 1,
+        format: value => `${Math.round(value * 100)}%`,
+        apply: value => { particleSystem.performanceLevel = value; }
+    },
+    {
+        id: 'shadowMapSize', page: 'graphics', label: 'Shadow resolution',
+        options: [512, 1024, 2048, 4096], defaultValue: SHADOW_MAP_SIZE,
+        format: value => `${value}px`,
+        apply: value => dayNightCycle.setShadowMapSize(value)
+    },
+    {
+        id: 'volume', page: 'audio', label: 'Sound effects volume',
+        min: 0, max: 1, step: 0.05, defaultValue: 0.7,
+        format: value => value === 0 ? 'Muted' : `${Math.round(value * 100)}%`
+    },
+    {
+        id: 'aimSpeed', page: 'controls', label: 'Aim turn speed',
+        min: 0.3, max: 2, step: 0.1, defaultValue: AIM_TURN_SPEED,
+        format: value => `${Math.round(THREE.MathUtils.radToDeg(value))}°/s`
+    },
+    {
+        id: 'stickDeadzone', page: 'controls', label: 'Stick deadzone',
+        min: 0.05, max: 0.5, step: 0.05, defaultValue: GAMEPAD_DEADZONE,
+        format: value => `${Math.round(value * 100)}%`
+    }
+];
 
-        // Power adjustment (slower and more precise)
-        if (gameState.keys['KeyW']) {
-            gameState.shotPower = Math.min(MAX_SHOT_POWER, gameState.shotPower + POWER_STEP);
-            ui.updatePower(gameState.shotPower);
-        }
-        if (gameState.keys['KeyS']) {
-            gameState.shotPower = Math.max(MIN_SHOT_POWER, gameState.shotPower - POWER_STEP);
-            ui.updatePower(gameState.shotPower);
-        }
+class GameSettings {
+    constructor() {
+        this.values = this.load();
     }
 
-    static shootBall() {
-        if (gameState.isShooting) return;
+    getDefinition(id) {
+        return SETTING_DEFINITIONS.find(definition => definition.id === id);
+    }
 
-        // Store the shot origin for 3-point calculation
-        gameState.shotOrigin.copy(gameState.ballPosition);
+    isValid(definition, value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+        return definition.options ? definition.options.includes(value) : value >= definition.min && value <= definition.max;
+    }
 
-        // Find the nearest hoop to target
-        const rightHoopPos = new THREE.Vector3();
-        const leftHoopPos = new THREE.Vector3();
+    load() {
+        const values = {};
+        SETTING_DEFINITIONS.forEach(definition => {
+            values[definition.id] = definition.defaultValue;
+        });
 
-        if (rightHoop && rightHoop.userData.rimPosition) {
-            rightHoop.localToWorld(rightHoopPos.copy(rightHoop.userData.rimPosition));
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+            SETTING_DEFINITIONS.forEach(definition => {
+                if (this.isValid(definition, saved[definition.id])) values[definition.id] = saved[definition.id];
+            });
+        } catch (error) {
+            console.warn('Could not load settings:', error);
         }
-        if (leftHoop && leftHoop.userData.rimPosition) {
-            leftHoop.localToWorld(leftHoopPos.copy(leftHoop.userData.rimPosition));
+        return values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
         }
+    }
+
+    get(id) {
+        return this.values[id];
+    }
+
+    set(id, value) {
+        const definition = this.getDefinition(id);
+        if (!this.isValid(definition, value)) return;
 
-        const distToRight = gameState.ballPosition.distanceTo(rightHoopPos);
-        const distToLeft = gameState.ballPosition.distanceTo(leftHoopPos);
-        const targetHoopPos = distToRight < distToLeft ? rightHoopPos : leftHoopPos;
+        this.values[id] = value;
+        if (definition.apply) definition.apply(value);
+        this.save();
+    }
+
+    resetToDefaults() {
+        SETTING_DEFINITIONS.forEach(definition => {
+            this.values[definition.id] = definition.defaultValue;
+        });
+        this.applyAll();
+        this.save();
+    }
 
-        // Check if this is a 3-point shot
-        gameState.isThreePointer = isThreePointShot(gameState.shotOrigin, targetHoopPos);
+    applyAll() {
+        SETTING_DEFINITIONS.forEach(definition => {
+            if (definition.apply) definition.apply(this.values[definition.id]);
+        });
+    }
+}
 
-        // Enhanced skill-based trajectory calculation
-        const toHoop = targetHoopPos.clone().sub(gameState.ballPosition);
-        const horizontalDistance = Math.sqrt(toHoop.x * toHoop.x + toHoop.z * toHoop.z);
-        const verticalDistance = toHoop.y;
+// ESC menu. While it is open animate() only renders, so the simulation, mode clocks, the
+// computer shooter and replays all stand still until the game resumes.
+class PauseMenu {
+    constructor() {
+        this.active = false;
+        this.page = null; // Settings page on show, null for the main pause menu
 
-        const TIME_TO_RIM = 1.6; // Slightly longer for more realistic arc
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'game-ui mode-overlay';
+        document.body.appendChild(this.overlay);
+    }
 
-        const perfect_vy = (verticalDistance - 0.5 * GRAVITY * TIME_TO_RIM * TIME_TO_RIM) / TIME_TO_RIM;
-        const perfect_vx = toHoop.x / TIME_TO_RIM;
-        const perfect_vz = toHoop.z / TIME_TO_RIM;
+    pause() {
+        if (this.active) return;
+        this.active = true;
+        gameState.heldActions = {};
+        shotMeter.charging = false; // Otherwise letting go of the key mid-pause would shoot
+        this.showMain();
+    }
 
-        const perfectVelocity = new THREE.Vector3(perfect_vx, perfect_vy, perfect_vz);
+    resume() {
+        this.active = false;
+        gameState.heldActions = {};
+        this.overlay.style.display = 'none';
+    }
 
-        // Enhanced power system with distance-based ideal power
-        const MAX_SHOOTING_DISTANCE = 25.0;
-        const distanceRatio = Math.min(1.0, horizontalDistance / MAX_SHOOTING_DISTANCE);
-        const idealPower = MIN_SHOT_POWER + distanceRatio * (MAX_SHOT_POWER - MIN_SHOT_POWER);
+    restart() {
+        // Same mode and players, from a fresh scoreboard with the ball at center court
+        if (replaySystem.active) replaySystem.stopReplay();
+        aiShooter.cancel();
+        InputSystem.placeBall(0, 0);
+        gameModes.startMode(gameModes.modeType, gameModes.modeOptions);
+        this.resume();
+        ui.updateGameStatus(`🔄 ${gameModes.modeType.label} restarted!`);
+    }
 
-        const powerDifference = gameState.shotPower - idealPower;
-        const SHOT_ERROR_SENSITIVITY = 0.4; // Slightly more forgiving
-        const errorFactor = 1.0 + (powerDifference * SHOT_ERROR_SENSITIVITY);
+    addOption(html, action) {
+        const option = document.createElement('button');
+        option.className = 'mode-option';
+        option.innerHTML = html;
+        option.addEventListener('click', action);
+        this.overlay.appendChild(option);
+    }
 
-        gameState.ballVelocity.copy(perfectVelocity).multiplyScalar(errorFactor);
+    showMain() {
+        this.page = null;
+        this.overlay.innerHTML = '<h2>⏸️ PAUSED</h2>';
+        this.addOption('▶️ Resume <small>ESC</small>', () => this.resume());
+        this.addOption(`🔄 Restart <small>${gameModes.modeType.label}</small>`, () => this.restart());
+        this.addOption('🏆 Game modes', () => {
+            this.resume();
+            gameModes.showMenu();
+        });
+        this.addOption('⚙️ Settings <small>Gameplay, graphics, audio and controls</small>', () => this.showSettings('gameplay'));
+        this.overlay.style.display = 'block';
+    }
 
-        // Update game state
-        gameState.isShooting = true;
-        gameState.shotAttempts++;
-        gameState.lastShotResult = '';
+    showSettings(pageId) {
+        this.page = pageId;
+        const tabs = SETTINGS_PAGES.map(page => `
+            <button data-page="${page.id}" class="${page.id === pageId ? 'settings-tab-active' : ''}">${page.label}</button>
+        `).join('');
+        const rows = SETTING_DEFINITIONS.filter(definition => definition.page === pageId).map(definition => {
+            const value = gameSettings.get(definition.id);
+            const input = definition.options ?
+                `<select data-setting="${definition.id}">${definition.options.map(option => `
+                    <option value="${option}"${option === value ? ' selected' : ''}>${definition.format(option)}</option>
+                `).join('')}</select>` :
+                `<input type="range" data-setting="${definition.id}" min="${definition.min}" max="${definition.max}" step="${definition.step}" value="${value}">`;
+            return `
+                <div class="setting-row">
+                    <span>${definition.label}</span>
+                    ${input}
+                    <span class="setting-value" id="setting-value-${definition.id}">${definition.format(value)}</span>
+                </div>
+            `;
+        }).join('');
 
-        const feedbackTime = Math.max(2.0, TIME_TO_RIM + 0.5);
-        gameState.shotFeedbackTimer = feedbackTime;
+        this.overlay.innerHTML = `
+            <h2>⚙️ SETTINGS</h2>
+            <div class="settings-tabs">${tabs}</div>
+            ${rows}
+        `;
 
-        ui.updateScore(gameState.score, gameState.shotAttempts, gameState.shotsMade);
+        this.overlay.querySelectorAll('[data-page]').forEach(tab => {
+            tab.addEventListener('click', () => this.showSettings(tab.dataset.page));
+        });
+        this.overlay.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('input', () => {
+                const id = input.dataset.setting;
+                gameSettings.set(id, Number(input.value));
+                document.getElementById(`setting-value-${id}`).textContent = this.getValueText(id);
+            });
+        });
 
-        // Show shot type feedback
-        const shotType = gameState.isThreePointer ? '3-POINTER' : '2-POINTER';
-        ui.updateGameStatus(`${shotType} shot in progress... 🎯`);
+        if (pageId === 'controls') {
+            this.addOption('⌨️ Key bindings <small>Rebind any keyboard control</small>', () => {
+                this.overlay.style.display = 'none';
+                keyBindings.open(() => this.showSettings('controls'));
+            });
+        }
+        this.addOption('↩️ Reset all settings to defaults', () => {
+            gameSettings.resetToDefaults();
+            this.showSettings(pageId);
+        });
+        this.addOption('📋 Back <small>ESC</small>', () => this.showMain());
+        this.overlay.style.display = 'block';
     }
 
-    static resetBall() {
-        gameState.ballPosition.set(0, COURT_FLOOR_Y + BALL_RADIUS + LINES_Y_OFFSET, 0);
-        gameState.ballVelocity.set(0, 0, 0);
-        gameState.ballRotation.set(0, 0, 0);
-        gameState.ballAngularVelocity.set(0, 0, 0);
-        gameState.shotPower = 0.5;
-        gameState.isShooting = false;
-        gameState.isMoving = false;
-        gameState.lastShotResult = '';
+    getValueText(id) {
+        return gameSettings.getDefinition(id).format(gameSettings.get(id));
+    }
 
-        ui.updatePower(gameState.shotPower);
-        ui.updateGameStatus('🏀 Ball reset to center court! Ready for action! 🏀');
+    handleKey(e, action) {
+        // ESC (or Start) backs out of the settings page, then resumes
+        if (e.code !== 'Escape' && action !== 'pause') return;
+        e.preventDefault();
+        if (this.page) {
+            this.showMain();
+        } else {
+            this.resume();
+        }
     }
 }
 
@@ -1873,15 +5893,25 @@ class InputSystem {
 
 let ui;
 let clock;
+let physicsAccumulator = 0;
 
 function init() {
     // Initialize enhanced game systems
     clock = new THREE.Clock();
+    gameSettings = new GameSettings();
+    keyBindings = new KeyBindings();
     ui = new GameUI();
 
     // Initialize all the super systems
     dayNightCycle = new DayNightCycle();
     shotPredictor = new ShotPredictor();
+    shotMeter = new ShotMeter();
+    heatOverlay = new HeatOverlay();
+    shotLog = new ShotLog();
+    swishTracker = new SwishTracker();
+    replaySystem = new ReplaySystem();
+    gameModes = new GameModeManager();
+    aiShooter = new AIShooter();
     particleSystem = new ParticleSystem();
 
     // Build complete basketball court
@@ -1909,6 +5939,15 @@ function init() {
     ballGroup = createBall();
     ballGroup.position.copy(gameState.ballPosition);
     scene.add(ballGroup);
+    AimSystem.createArrow();
+    defender = new Defender();
+    reboundSystem = new ReboundSystem();
+    cameraDirector = new CameraDirector();
+    gamepadInput = new GamepadInput();
+    touchInput = new TouchInput();
+    soundEffects = new SoundEffects();
+    pauseMenu = new PauseMenu();
+    gameSettings.applyAll();
 
     // Setup event listeners
     window.addEventListener('resize', onWindowResize, false);
@@ -1918,9 +5957,12 @@ function init() {
     // Initialize UI
     ui.updateScore(gameState.score, gameState.shotAttempts, gameState.shotsMade);
     ui.updatePower(gameState.shotPower);
+    ui.updateBackspin(BACKSPIN_LEVELS[gameState.backspinLevel]);
+    ui.updateSwishStreak(swishTracker.streak, swishTracker.best);
 
     // Welcome message
-    ui.updateGameStatus('🌟 Welcome to SUPER BASKETBALL ARENA! Press P for shot predictor, T for time cycle! 🌟');
+    ui.updateGameStatus(`🌟 Welcome to SUPER BASKETBALL ARENA! Press ${keyBindings.getLabel('predictor')} for shot predictor, ${keyBindings.getLabel('time')} for time cycle! 🌟`);
+    gameModes.showMenu();
 
     // Start the enhanced game loop
     animate();
@@ -1934,33 +5976,105 @@ function onWindowResize() {
 
 function onKeyDown(e) {
     const key = e.code;
-    gameState.keys[key] = true;
+    if (!e.synthetic) ui.setPromptStyle('keyboard');
+
+    // While rebinding, the next key press belongs to the key bindings panel
+    if (keyBindings.isOpen()) {
+        keyBindings.handleKey(e);
+        return;
+    }
+
+    const action = e.action || keyBindings.getAction(key);
+
+    // ESC (Start on a pad) pauses everything, replays included; the pause menu then has the keyboard
+    if (pauseMenu.active) {
+        pauseMenu.handleKey(e, action);
+        return;
+    }
+    if (key === 'Escape' || action === 'pause') {
+        if (!gameModes.isOverlayOpen()) pauseMenu.pause();
+        return;
+    }
+
+    // Replays take over the keyboard until they finish or are skipped
+    if (replaySystem && replaySystem.active) {
+        replaySystem.handleAction(action, e);
+        return;
+    }
+
+    // Menus and result screens only answer to their own shortcuts
+    if (gameModes && gameModes.isOverlayOpen()) {
+        gameModes.handleKey(e);
+        return;
+    }
+
+    if (!action) return;
+    gameState.heldActions[action] = true;
 
-    switch(key) {
-        case "KeyO":
+    if (gameModes.current.handleAction(action)) return;
+
+    // Shooting and resetting are off limits while the computer has the ball
+    if (aiShooter.active && (action === 'shoot' || action === 'reset')) {
+        e.preventDefault();
+        return;
+    }
+
+    switch(action) {
+        case 'orbit':
+            if (cameraDirector.preset !== 'free') {
+                ui.updateGameStatus(`📷 Switch to the free orbit camera (${keyBindings.getLabel('camera')}) to use the mouse controls`);
+                break;
+            }
             controls.enabled = !controls.enabled;
             ui.updateGameStatus(controls.enabled ? '📷 Camera controls enabled' : '📷 Camera controls disabled');
             break;
-        case "KeyR":
+        case 'camera':
+            cameraDirector.nextPreset();
+            break;
+        case 'reset':
             InputSystem.resetBall();
             break;
-        case "KeyI":
+        case 'backspin':
+            InputSystem.cycleBackspin();
+            break;
+        case 'meter':
+            shotMeter.toggleMode();
+            break;
+        case 'heatMap':
+            heatOverlay.cycleMode();
+            break;
+        case 'shotChart':
+            shotLog.togglePanel();
+            break;
+        case 'replay':
+            replaySystem.startReplay('manual');
+            break;
+        case 'modeMenu':
+            gameModes.showMenu();
+            break;
+        case 'defender':
+            defender.cycleDifficulty();
+            break;
+        case 'grab':
+            reboundSystem.tryPickUp();
+            break;
+        case 'net':
             e.preventDefault();
             triggerNetAnimation();
             break;
-        case "KeyP":
+        case 'predictor':
             e.preventDefault();
             if (shotPredictor) {
                 shotPredictor.toggle();
             }
             break;
-        case "KeyT":
+        case 'time':
             e.preventDefault();
             if (dayNightCycle) {
                 dayNightCycle.cyclePeriod();
             }
             break;
-        case "KeyF":
+        case 'fullscreen':
             if (!document.fullscreenElement) {
                 document.documentElement.requestFullscreen();
                 ui.updateGameStatus('🖥️ Fullscreen mode activated!');
@@ -1971,50 +6085,131 @@ function onKeyDown(e) {
                 }
             }
             break;
-        case "Space":
+        case 'shoot':
             e.preventDefault();
-            InputSystem.shootBall();
+            if (shotMeter.mode === 'meter') {
+                if (!e.repeat) shotMeter.startCharge();
+            } else {
+                InputSystem.shootBall();
+            }
             break;
     }
 }
 
 function onKeyUp(e) {
-    gameState.keys[e.code] = false;
+    const action = e.action || keyBindings.getAction(e.code);
+    if (!action) return;
+    gameState.heldActions[action] = false;
+
+    if (action === 'shoot' && shotMeter) {
+        shotMeter.release();
+    }
+}
+
+function stepSimulation(stepTime) {
+    PhysicsSystem.storePreviousState();
+    InputSystem.handleInput(stepTime);
+    aiShooter.update(stepTime);
+    InputSystem.updateDribble(stepTime);
+    reboundSystem.update(stepTime);
+    defender.update(stepTime);
+    PhysicsSystem.updateBallPhysics(stepTime);
+    gameModes.update(stepTime);
+
+    // Handle shot feedback timeout
+    if (gameState.shotFeedbackTimer > 0) {
+        gameState.shotFeedbackTimer -= stepTime;
+        if (gameState.shotFeedbackTimer <= 0 && gameState.lastShotResult === '') {
+            // A ball still above the rim may drop in: hold the call until it can't
+            if (ballCanStillScore()) {
+                gameState.shotFeedbackTimer = stepTime;
+            } else {
+                resolveMissedShot();
+            }
+        }
+    }
+}
+
+function ballCanStillScore() {
+    if (gameState.deadBall) return false;
+    const velocity = gameState.ballVelocity;
+    if (velocity.length() < 0.05) return false;
+    const rise = Math.max(0, velocity.y) ** 2 / (2 * Math.abs(GRAVITY));
+    return gameState.ballPosition.y + rise > RIM_Y;
+}
+
+function resolveMissedShot() {
+    gameState.lastShotResult = 'missed';
+    shotLog.recordShot(false);
+    swishTracker.recordMiss();
+    gameModes.onShotResolved(false);
+    ui.showShotFeedback(false);
+
+    const missText = gameState.isThreePointer ?
+        'Missed 3-pointer. Keep shooting from deep! 💪' :
+        'Shot missed. Try again! 💪';
+    ui.updateGameStatus(missText);
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
     const deltaTime = clock.getDelta();
+    if (gamepadInput) gamepadInput.poll();
+
+    // Paused: keep drawing the frozen scene behind the menu, but nothing moves
+    if (pauseMenu && pauseMenu.active) {
+        renderer.render(scene, camera);
+        return;
+    }
+
+    // The live game stays frozen while a replay plays back
+    if (replaySystem && replaySystem.active) {
+        replaySystem.update(deltaTime);
+        if (particleSystem) particleSystem.update(deltaTime);
+        renderer.render(scene, camera);
+        return;
+    }
+
+    // Run the simulation in fixed steps; leftover time carries over to the next frame
+    physicsAccumulator += deltaTime;
+    let substeps = 0;
+    while (physicsAccumulator >= PHYSICS_TIMESTEP && substeps < MAX_PHYSICS_SUBSTEPS) {
+        stepSimulation(PHYSICS_TIMESTEP);
+        physicsAccumulator -= PHYSICS_TIMESTEP;
+        substeps++;
+    }
+    if (substeps === MAX_PHYSICS_SUBSTEPS) {
+        // Too far behind (slow frame or hidden tab): skip ahead instead of spiralling
+        physicsAccumulator = 0;
+    }
 
-    // Update all enhanced systems
-    InputSystem.handleInput(deltaTime);
-    PhysicsSystem.updateBallPhysics(deltaTime);
+    PhysicsSystem.syncBallVisual(physicsAccumulator / PHYSICS_TIMESTEP);
+    gameModes.current.refreshHud();
+    defender.syncVisual(physicsAccumulator / PHYSICS_TIMESTEP);
+
+    // Create ball trail particles
+    if (particleSystem && gameState.isShooting && gameState.ballVelocity.length() > 2) {
+        particleSystem.createBallTrail(ballGroup.position);
+    }
 
     // Update super systems
     if (dayNightCycle) dayNightCycle.update(deltaTime);
+    AimSystem.update();
+    if (shotMeter) shotMeter.refresh();
     if (shotPredictor) shotPredictor.update();
+    if (heatOverlay) heatOverlay.update();
     if (particleSystem) particleSystem.update(deltaTime);
 
     updateNetAnimation(deltaTime);
-
-    // Handle shot feedback timeout
-    if (gameState.shotFeedbackTimer > 0) {
-        gameState.shotFeedbackTimer -= deltaTime;
-        if (gameState.shotFeedbackTimer <= 0 && gameState.lastShotResult === '') {
-            gameState.lastShotResult = 'missed';
-            ui.showShotFeedback(false);
-
-            const missText = gameState.isThreePointer ?
-                'Missed 3-pointer. Keep shooting from deep! 💪' :
-                'Shot missed. Try again! 💪';
-            ui.updateGameStatus(missText);
-        }
-    }
+    updateRimFlex(deltaTime);
 
     // Update controls and render
+    cameraDirector.update(deltaTime);
     controls.update();
 
+    if (replaySystem) replaySystem.update(deltaTime);
+
     renderer.render(scene, camera);
 }
 
@@ -2076,13 +6271,25 @@ console.log(`
 🎮 Controls:
 • Arrow Keys: Move ball
 • W/S: Adjust power
-• Space: Shoot
+• A/D: Aim left/right
+• Q/E: Flatter/higher arc
+• B: Change backspin
+• Space: Shoot (hold and release with the shot meter)
+• M: Toggle shot meter
+• H: Cycle heat map (make chance / ideal power)
+• C: Shot chart
+• L: Replay last shot
+• G: Game mode menu
+• V: Cycle defender difficulty
+• X: Grab the loose ball after a shot
+• N: Next camera view (free, shooter, ball cam, broadcast, baseline)
 • P: Toggle predictor
 • T: Change time of day
 • R: Reset ball
 • I: Net animation
 • O: Camera controls
 • F: Fullscreen
+(Defaults - rebind any of them with the ⌨️ button in the controls panel)
 
 🛠️ Debug Commands:
 • toggleDebug() - Toggle debug mode
@@ -0,0 +1,967 @@
+/**
+ * @fileoverview Headless basketball simulation core
+ * @description Pure physics and shot model shared by the browser game (hw5.js)
+ * and Node tooling (scripts/run-scenarios.js). No THREE, DOM or UI access:
+ * state objects go in, are advanced in place, and the step reports what
+ * happened as a list of events.
+ *
+ * Vectors are plain {x, y, z} objects. THREE.Vector3 instances satisfy the
+ * same shape, so the browser can pass its gameState straight in.
+ */
+
+// =============================================================================
+// SHARED CONSTANTS
+// =============================================================================
+
+// Court dimensions
+export const COURT_LENGTH = 28;
+export const COURT_WIDTH = 15;
+export const COURT_FLOOR_Y = 0;
+export const LINES_Y_OFFSET = 0.01;
+
+// Basketball hoop specifications
+export const RIM_Y = 3.05;
+export const RIM_RADIUS = 0.225;
+export const RIM_TUBE_RADIUS = 0.025;
+export const BACKBOARD_WIDTH = 1.8;
+export const BACKBOARD_HEIGHT = 1.05;
+export const BACKBOARD_THICKNESS = 0.08;
+export const BACKBOARD_DIST_FROM_BASELINE = 1.2;
+export const POLE_RADIUS = 0.15;
+
+// Basketball specifications
+export const BALL_RADIUS = 0.1213;
+export const BALL_REST_Y = COURT_FLOOR_Y + BALL_RADIUS + LINES_Y_OFFSET;
+
+// Physics constants
+export const GRAVITY = -9.8;
+export const MIN_SHOT_POWER = 0.1;
+export const MAX_SHOT_POWER = 1.0;
+export const BOUNCE_DAMPING = 0.7;
+export const BACKBOARD_DAMP_FACTOR = 0.6;
+export const RIM_RESTITUTION = 0.55; // Share of normal speed kept after hitting the iron
+export const RIM_FRICTION = 0.2; // Coulomb friction between ball and rim
+export const FLOOR_FRICTION = 0.5;
+export const BACKBOARD_FRICTION = 0.25;
+export const ROLLING_RESISTANCE = 1.5; // Deceleration of a ball rolling on the floor (m/s²)
+
+// Spin: angular velocity is physical state in rad/s
+export const DEFAULT_BACKSPIN = 12.0; // Roughly two revolutions per second at release
+export const MAGNUS_COEFFICIENT = 0.005; // Lift acceleration per unit of (ω × v)
+const SPIN_INERTIA_RATIO = 2 / 3; // Basketball as a thin shell: I = 2/3 m r²
+const CONTACT_IMPACT_SPEED = 0.3; // Slower normal contacts count as rolling, not a new hit
+const LODGED_SPEED = 0.05;
+const LODGED_TIME = 1.0; // Seconds a ball may sit still off the floor before it is knocked loose
+
+// Fixed-timestep simulation: physics always advances in PHYSICS_TIMESTEP slices,
+// independent of the display refresh rate, so identical inputs replay identically
+export const PHYSICS_TIMESTEP = 1 / 240;
+
+// Shot model
+export const THREE_POINT_ARC_RADIUS = 6.75;
+export const THREE_POINT_CORNER_Z = COURT_WIDTH / 2 - 0.9; // The arc meets the straight corner lines here
+export const LANE_WIDTH = 4.9;
+export const LANE_LENGTH = 5.8; // Baseline to free-throw line
+export const FREE_THROW_LINE_X = COURT_LENGTH / 2 - LANE_LENGTH; // |x| of the free-throw lines
+export const DEFAULT_RELEASE_ANGLE = 65; // Degrees above horizontal (the ball leaves from the floor)
+export const MIN_RELEASE_ANGLE = 45; // Flat shot
+export const MAX_RELEASE_ANGLE = 80; // Rainbow arc
+const MIN_ENTRY_ANGLE = 40; // Flatter arrivals cannot drop in; shots are steepened to at least this
+const MAX_LAUNCH_ANGLE = 87;
+const AIM_DEPTH = 0.06; // Perfect shots aim just past the rim center, the roomiest part of the ring
+export const MAX_SHOOTING_DISTANCE = 25.0;
+export const SHOT_ERROR_SENSITIVITY = 0.4; // Slightly more forgiving
+export const RELEASE_POWER_SPREAD = 0.03; // Typical power wobble of a human release (standard deviation)
+const PROBABILITY_SAMPLE_OFFSETS = [-2, -1, 0, 1, 2]; // In standard deviations of release power
+
+// Hoop assembly layout for the right-hand hoop, in court coordinates.
+// The left hoop is the same assembly rotated half a turn around Y.
+const poleX = (COURT_LENGTH / 2) + POLE_RADIUS + 0.5;
+const backboardX = poleX - POLE_RADIUS - BACKBOARD_DIST_FROM_BASELINE;
+const connectorDepth = 0.15;
+const connectorX = backboardX - (BACKBOARD_THICKNESS / 2) - (connectorDepth / 2);
+
+export const HOOP_LAYOUT = {
+    poleX,
+    backboardX,
+    backboardY: RIM_Y + (BACKBOARD_HEIGHT / 2) - 0.15,
+    connectorX,
+    connectorDepth,
+    rimX: connectorX - (connectorDepth / 2) - RIM_RADIUS
+};
+
+export const DEFAULT_PHYSICS = {
+    gravity: GRAVITY,
+    bounceDamping: BOUNCE_DAMPING,
+    backboardDampFactor: BACKBOARD_DAMP_FACTOR,
+    rimRestitution: RIM_RESTITUTION,
+    rimFriction: RIM_FRICTION,
+    floorFriction: FLOOR_FRICTION,
+    backboardFriction: BACKBOARD_FRICTION,
+    rollingResistance: ROLLING_RESISTANCE,
+    magnusCoefficient: MAGNUS_COEFFICIENT
+};
+
+// =============================================================================
+// VECTOR HELPERS
+// =============================================================================
+
+function vec(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+function setVec(target, x, y, z) {
+    target.x = x;
+    target.y = y;
+    target.z = z;
+    return target;
+}
+
+function lengthOf(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function distanceBetween(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+function degreesToRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+}
+
+// =============================================================================
+// WORLD & STATE
+// =============================================================================
+
+export function createWorld(physicsOverrides = {}) {
+    const hoop = (side, direction) => ({
+        side,
+        direction, // +1 for the right hoop (positive X), -1 for the left
+        rim: vec(direction * HOOP_LAYOUT.rimX, RIM_Y, 0),
+        backboard: vec(direction * HOOP_LAYOUT.backboardX, HOOP_LAYOUT.backboardY, 0)
+    });
+
+    return {
+        // Index order matches the browser's [rightHoop, leftHoop]
+        hoops: [hoop('right', 1), hoop('left', -1)],
+        physics: { ...DEFAULT_PHYSICS, ...physicsOverrides }
+    };
+}
+
+export function createBallState(x = 0, z = 0) {
+    return {
+        ballPosition: vec(x, BALL_REST_Y, z),
+        ballVelocity: vec(),
+        ballRotation: vec(),
+        ballAngularVelocity: vec(),
+        isShooting: false,
+        basketScored: false,
+        deadBall: false,
+        lodgedTime: 0
+    };
+}
+
+export function findNearestHoopIndex(world, position) {
+    const distances = world.hoops.map(hoop => distanceBetween(position, hoop.rim));
+    return distances[0] < distances[1] ? 0 : 1;
+}
+
+// =============================================================================
+// SHOT MODEL
+// =============================================================================
+
+export function isThreePointShot(shotPosition, targetHoopPos) {
+    const horizontalDistance = Math.sqrt(
+        Math.pow(shotPosition.x - targetHoopPos.x, 2) +
+        Math.pow(shotPosition.z - targetHoopPos.z, 2)
+    );
+
+    // Beyond the arc, or outside the straight corner lines where the arc gives way to them
+    return horizontalDistance >= THREE_POINT_ARC_RADIUS || Math.abs(shotPosition.z) > THREE_POINT_CORNER_Z;
+}
+
+/**
+ * Court zone of a shot at `hoopIndex` from `origin`: 'paint', 'midRange',
+ * 'cornerThree' (beyond the straight corner lines) or 'aboveBreakThree'.
+ */
+export function classifyShotZone(world, origin, hoopIndex) {
+    const hoop = world.hoops[hoopIndex];
+    const depth = origin.x * hoop.direction; // Grows towards this hoop's baseline
+
+    if (isThreePointShot(origin, hoop.rim)) {
+        const breakDepth = Math.abs(hoop.rim.x) - Math.sqrt(THREE_POINT_ARC_RADIUS ** 2 - THREE_POINT_CORNER_Z ** 2);
+        return depth > breakDepth ? 'cornerThree' : 'aboveBreakThree';
+    }
+
+    const inLane = Math.abs(origin.z) <= LANE_WIDTH / 2 && depth >= COURT_LENGTH / 2 - LANE_LENGTH;
+    return inLane ? 'paint' : 'midRange';
+}
+
+/** How a shot ended, from the order of its rim/backboard contacts: 'swish', 'bank', 'rim-in' or 'miss'. */
+export function classifyShotEnding(made, contactTypes) {
+    if (!made) return 'miss';
+    if (contactTypes.length === 0) return 'swish';
+    return contactTypes[0] === 'backboard' ? 'bank' : 'rim-in';
+}
+
+export function idealPowerForDistance(horizontalDistance) {
+    const distanceRatio = Math.min(1.0, horizontalDistance / MAX_SHOOTING_DISTANCE);
+    return MIN_SHOT_POWER + distanceRatio * (MAX_SHOT_POWER - MIN_SHOT_POWER);
+}
+
+/** Heading (radians in the XZ plane, 0 = towards +X) from `origin` to a hoop's rim. */
+export function headingToHoop(world, origin, hoopIndex) {
+    const rim = world.hoops[hoopIndex].rim;
+    return Math.atan2(rim.z - origin.z, rim.x - origin.x);
+}
+
+/** The hoop whose rim lies closest to the line of `heading`, i.e. the one being aimed at. */
+export function findAimedHoopIndex(world, origin, heading) {
+    const alignment = world.hoops.map((hoop, hoopIndex) => Math.cos(headingToHoop(world, origin, hoopIndex) - heading));
+    return alignment[0] >= alignment[1] ? 0 : 1;
+}
+
+/**
+ * Computes the launch velocity and spin for a shot from `origin` at `power`, thrown along
+ * `heading` at `releaseAngle` degrees. The hoop being aimed at sets the ideal power and the
+ * ideal range; power then scales the throw short or long of the rim (`powerErrorScale` < 1
+ * forgives part of that miss, e.g. for a well-timed release). Without a heading the shot is
+ * aimed straight at the nearest hoop. Nothing in `world` or the ball state is touched.
+ */
+export function computeShot(world, origin, power, {
+    backspin = DEFAULT_BACKSPIN,
+    heading,
+    releaseAngle = DEFAULT_RELEASE_ANGLE,
+    powerErrorScale = 1.0
+} = {}) {
+    if (heading === undefined) {
+        heading = headingToHoop(world, origin, findNearestHoopIndex(world, origin));
+    }
+
+    const targetHoopIndex = findAimedHoopIndex(world, origin, heading);
+    const targetRim = world.hoops[targetHoopIndex].rim;
+
+    const horizontalDistance = Math.sqrt((targetRim.x - origin.x) ** 2 + (targetRim.z - origin.z) ** 2);
+    const aimDistance = horizontalDistance + AIM_DEPTH;
+    const rise = targetRim.y - origin.y;
+
+    // A parabola to the rim launched at θ arrives with slope tan θ - 2·rise/distance;
+    // too flat a release would skim the front iron, so steepen it to a playable entry angle
+    const minimumAngle = Math.atan(Math.tan(degreesToRadians(MIN_ENTRY_ANGLE)) + 2 * rise / aimDistance);
+    const angle = Math.min(
+        degreesToRadians(MAX_LAUNCH_ANGLE),
+        Math.max(degreesToRadians(releaseAngle), minimumAngle)
+    );
+
+    // Launch speed that lands the ball on the rim at this angle. Backspin adds Magnus lift
+    // k·ω·v_horizontal and a drag k·ω·v_y along the shot line, so solve with the gravity the
+    // ball will actually feel and lengthen the throw by the drag; a few passes converge.
+    const magnus = world.physics.magnusCoefficient * backspin;
+    const cos = Math.cos(angle);
+    const tan = Math.tan(angle);
+    let gravity = -world.physics.gravity;
+    let range = aimDistance;
+    let speed = 0;
+    let flightTime = 0;
+
+    for (let pass = 0; pass < 4; pass++) {
+        speed = Math.sqrt((gravity * range * range) / (2 * cos * cos * Math.max(range * tan - rise, 0.05)));
+        flightTime = range / (speed * cos);
+
+        const drift = magnus * ((speed * Math.sin(angle) * flightTime ** 2) / 2 - (gravity * flightTime ** 3) / 6);
+        range = aimDistance + drift;
+        gravity = -world.physics.gravity - magnus * speed * cos;
+    }
+
+    // Enhanced power system with distance-based ideal power
+    const idealPower = idealPowerForDistance(horizontalDistance);
+    const errorFactor = powerErrorFactor(power, idealPower, powerErrorScale);
+
+    const direction = vec(Math.cos(heading), 0, Math.sin(heading));
+    const launchSpeed = speed * errorFactor;
+
+    return {
+        targetHoopIndex,
+        isThreePointer: isThreePointShot(origin, targetRim),
+        horizontalDistance,
+        heading,
+        releaseAngle: angle * 180 / Math.PI,
+        idealPower,
+        errorFactor,
+        timeToRim: flightTime,
+        velocity: vec(
+            direction.x * launchSpeed * cos,
+            launchSpeed * Math.sin(angle),
+            direction.z * launchSpeed * cos
+        ),
+        angularVelocity: backspinFor(direction, backspin)
+    };
+}
+
+/** Launch speed multiplier for a throw at `power` when `idealPower` would land it on target. */
+function powerErrorFactor(power, idealPower, powerErrorScale) {
+    const powerDifference = (power - idealPower) * powerErrorScale;
+    return 1.0 + (powerDifference * SHOT_ERROR_SENSITIVITY);
+}
+
+/**
+ * Angular velocity (rad/s) for `backspin` about the horizontal axis perpendicular to `direction`,
+ * turning the top of the ball back towards the shooter.
+ */
+export function backspinFor(direction, backspin) {
+    const horizontalLength = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+    if (horizontalLength < 1e-6) return vec();
+
+    // direction × up, normalised
+    return vec(
+        (-direction.z / horizontalLength) * backspin,
+        0,
+        (direction.x / horizontalLength) * backspin
+    );
+}
+
+export function launchBall(state, velocity, angularVelocity = vec()) {
+    setVec(state.ballVelocity, velocity.x, velocity.y, velocity.z);
+    setVec(state.ballAngularVelocity, angularVelocity.x, angularVelocity.y, angularVelocity.z);
+    state.isShooting = true;
+    state.basketScored = false;
+    state.deadBall = false;
+    state.lodgedTime = 0;
+}
+
+// =============================================================================
+// BALL PHYSICS STEP
+// =============================================================================
+
+/**
+ * Advances a ball in flight by `deltaTime` seconds. Mutates `state` in place and
+ * returns the events produced during the step:
+ *   { type: 'floorBounce', position }
+ *   { type: 'backboard', hoopIndex, side, position }
+ *   { type: 'rim', hoopIndex, side, position }
+ *   { type: 'score', hoopIndex, side }
+ *   { type: 'lodged', hoopIndex, side }
+ *   { type: 'rest' }
+ */
+export function stepBall(state, world, deltaTime) {
+    const events = [];
+    if (!state.isShooting) return events;
+
+    const physics = world.physics;
+    const position = state.ballPosition;
+    const velocity = state.ballVelocity;
+    const previousY = position.y;
+
+    const spin = state.ballAngularVelocity;
+
+    // Gravity plus Magnus lift from spin: a = k (ω × v)
+    const magnus = cross(spin, velocity);
+    velocity.x += magnus.x * physics.magnusCoefficient * deltaTime;
+    velocity.y += (physics.gravity + magnus.y * physics.magnusCoefficient) * deltaTime;
+    velocity.z += magnus.z * physics.magnusCoefficient * deltaTime;
+
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+
+    // Ground collision detection and bouncing
+    if (position.y <= BALL_REST_Y) {
+        position.y = BALL_REST_Y;
+        const impactSpeed = resolveContact(state, vec(0, 1, 0), physics.bounceDamping, physics.floorFriction);
+        if (impactSpeed > CONTACT_IMPACT_SPEED) {
+            events.push({ type: 'floorBounce', position: vec(position.x, position.y, position.z) });
+        }
+
+        applyRollingResistance(state, physics.rollingResistance * deltaTime);
+
+        // Stop ball if velocity is too low
+        if (Math.abs(velocity.y) < 0.1 && lengthOf(velocity) < 0.5) {
+            setVec(velocity, 0, 0, 0);
+            setVec(spin, 0, 0, 0);
+            state.isShooting = false;
+            events.push({ type: 'rest' });
+        }
+    }
+
+    // Court boundary collision detection
+    const courtEdgeX = COURT_LENGTH / 2 - BALL_RADIUS;
+    if (position.x >= courtEdgeX) {
+        position.x = courtEdgeX;
+        velocity.x = -velocity.x * physics.bounceDamping;
+    } else if (position.x <= -courtEdgeX) {
+        position.x = -courtEdgeX;
+        velocity.x = -velocity.x * physics.bounceDamping;
+    }
+
+    const courtEdgeZ = COURT_WIDTH / 2 - BALL_RADIUS;
+    if (position.z >= courtEdgeZ) {
+        position.z = courtEdgeZ;
+        velocity.z = -velocity.z * physics.bounceDamping;
+    } else if (position.z <= -courtEdgeZ) {
+        position.z = -courtEdgeZ;
+        velocity.z = -velocity.z * physics.bounceDamping;
+    }
+
+    // Visual orientation integrates the physical spin
+    state.ballRotation.x += spin.x * deltaTime;
+    state.ballRotation.y += spin.y * deltaTime;
+    state.ballRotation.z += spin.z * deltaTime;
+
+    world.hoops.forEach((hoop, hoopIndex) => {
+        collideBackboard(state, hoop, hoopIndex, physics, events);
+    });
+    world.hoops.forEach((hoop, hoopIndex) => {
+        collideRim(state, hoop, hoopIndex, physics, events);
+        checkBasket(state, hoop, hoopIndex, previousY, events);
+    });
+
+    checkLodged(state, world, deltaTime, events);
+
+    return events;
+}
+
+function collideBackboard(state, hoop, hoopIndex, physics, events) {
+    const position = state.ballPosition;
+    const velocity = state.ballVelocity;
+    const backboardPos = hoop.backboard;
+
+    const offsetX = position.x - backboardPos.x;
+    const isWithinHeight = Math.abs(position.y - backboardPos.y) <= (BACKBOARD_HEIGHT / 2 + BALL_RADIUS);
+    const isWithinWidth = Math.abs(position.z - backboardPos.z) <= (BACKBOARD_WIDTH / 2 + BALL_RADIUS);
+    const collisionThreshold = (BACKBOARD_THICKNESS / 2) + BALL_RADIUS;
+
+    if (!isWithinHeight || !isWithinWidth || Math.abs(offsetX) > collisionThreshold) return;
+
+    // The front face of each backboard points back towards center court
+    const hitFromFront = hoop.direction > 0 ? position.x < backboardPos.x : position.x > backboardPos.x;
+    const side = hitFromFront ? -hoop.direction : hoop.direction;
+    position.x = backboardPos.x + side * collisionThreshold;
+
+    // Only bounce when moving into the glass; a ball resting against it just gets pushed clear
+    const approachSpeed = -velocity.x * side;
+    if (approachSpeed <= 0) return;
+
+    const restitution = physics.bounceDamping * physics.backboardDampFactor;
+    resolveContact(state, vec(side, 0, 0), restitution, physics.backboardFriction);
+
+    if (approachSpeed > CONTACT_IMPACT_SPEED) {
+        events.push({
+            type: 'backboard',
+            hoopIndex,
+            side: hoop.side,
+            position: vec(position.x - side * BALL_RADIUS, position.y, position.z)
+        });
+    }
+}
+
+function checkLodged(state, world, deltaTime, events) {
+    const position = state.ballPosition;
+    const velocity = state.ballVelocity;
+
+    // A ball wedged between rim and glass stops moving in mid-air; knock it back towards the court
+    if (position.y > BALL_REST_Y + 0.5 && lengthOf(velocity) < LODGED_SPEED) {
+        state.lodgedTime += deltaTime;
+    } else {
+        state.lodgedTime = 0;
+    }
+
+    if (state.lodgedTime >= LODGED_TIME) {
+        const hoopIndex = findNearestHoopIndex(world, position);
+        const hoop = world.hoops[hoopIndex];
+        velocity.x = -hoop.direction * 1.0;
+        velocity.y = 0.5;
+        state.lodgedTime = 0;
+        state.deadBall = true; // Held balls cannot score once knocked loose
+        events.push({ type: 'lodged', hoopIndex, side: hoop.side });
+    }
+}
+
+function checkBasket(state, hoop, hoopIndex, previousY, events) {
+    const position = state.ballPosition;
+    const rimPos = hoop.rim;
+
+    // A basket counts when the ball's center drops through the rim plane inside the ring
+    const crossedRimPlane = previousY >= rimPos.y && position.y < rimPos.y;
+    const horizontalDistance = Math.sqrt((position.x - rimPos.x) ** 2 + (position.z - rimPos.z) ** 2);
+
+    if (crossedRimPlane && horizontalDistance < RIM_RADIUS && !state.basketScored && !state.deadBall) {
+        state.basketScored = true;
+        events.push({ type: 'score', hoopIndex, side: hoop.side });
+    }
+}
+
+function collideRim(state, hoop, hoopIndex, physics, events) {
+    const position = state.ballPosition;
+    const velocity = state.ballVelocity;
+    const rimPos = hoop.rim;
+
+    // Closest point on the rim's center circle (the torus core) to the ball
+    const offsetX = position.x - rimPos.x;
+    const offsetZ = position.z - rimPos.z;
+    const horizontalDistance = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+    if (horizontalDistance < 1e-6) return; // Dead center is always clear of the iron
+
+    const core = vec(
+        rimPos.x + (offsetX / horizontalDistance) * RIM_RADIUS,
+        rimPos.y,
+        rimPos.z + (offsetZ / horizontalDistance) * RIM_RADIUS
+    );
+
+    const toBall = vec(position.x - core.x, position.y - core.y, position.z - core.z);
+    const distance = lengthOf(toBall);
+    const contactDistance = RIM_TUBE_RADIUS + BALL_RADIUS;
+    if (distance >= contactDistance || distance < 1e-6) return;
+
+    // Contact normal points from the tube surface to the ball center
+    const normal = vec(toBall.x / distance, toBall.y / distance, toBall.z / distance);
+
+    // Push the ball out of the tube
+    const penetration = contactDistance - distance;
+    position.x += normal.x * penetration;
+    position.y += normal.y * penetration;
+    position.z += normal.z * penetration;
+
+    const impactSpeed = resolveContact(state, normal, physics.rimRestitution, physics.rimFriction);
+
+    if (impactSpeed > CONTACT_IMPACT_SPEED) {
+        events.push({
+            type: 'rim',
+            hoopIndex,
+            side: hoop.side,
+            position: vec(core.x + normal.x * RIM_TUBE_RADIUS, core.y + normal.y * RIM_TUBE_RADIUS, core.z + normal.z * RIM_TUBE_RADIUS),
+            impactSpeed
+        });
+    }
+}
+
+/**
+ * Impulse response for a contact with surface `normal` (pointing at the ball center):
+ * restitution on the normal speed and Coulomb friction on the slip of the contact point,
+ * which trades linear speed for spin and vice versa. Returns the approach speed (0 if separating).
+ */
+function resolveContact(state, normal, restitution, friction) {
+    const velocity = state.ballVelocity;
+    const spin = state.ballAngularVelocity;
+
+    const normalSpeed = dot(velocity, normal);
+    if (normalSpeed >= 0) return 0;
+
+    // Velocity of the contact point: v + ω × r, with r from the center to the contact
+    const contactArm = vec(-normal.x * BALL_RADIUS, -normal.y * BALL_RADIUS, -normal.z * BALL_RADIUS);
+    const spinVelocity = cross(spin, contactArm);
+    const slip = vec(velocity.x + spinVelocity.x, velocity.y + spinVelocity.y, velocity.z + spinVelocity.z);
+    const slipNormal = dot(slip, normal);
+    setVec(slip, slip.x - slipNormal * normal.x, slip.y - slipNormal * normal.y, slip.z - slipNormal * normal.z);
+    const slipSpeed = lengthOf(slip);
+
+    const normalImpulse = -(1 + restitution) * normalSpeed;
+    velocity.x += normal.x * normalImpulse;
+    velocity.y += normal.y * normalImpulse;
+    velocity.z += normal.z * normalImpulse;
+
+    if (slipSpeed > 1e-6) {
+        // Impulse that would stop the slip outright; friction may not exceed it
+        const stickingImpulse = slipSpeed / (1 + 1 / SPIN_INERTIA_RATIO);
+        const frictionImpulse = Math.min(friction * normalImpulse, stickingImpulse);
+        const impulse = vec(
+            (-slip.x / slipSpeed) * frictionImpulse,
+            (-slip.y / slipSpeed) * frictionImpulse,
+            (-slip.z / slipSpeed) * frictionImpulse
+        );
+
+        velocity.x += impulse.x;
+        velocity.y += impulse.y;
+        velocity.z += impulse.z;
+
+        const torque = cross(contactArm, impulse);
+        const spinScale = 1 / (SPIN_INERTIA_RATIO * BALL_RADIUS * BALL_RADIUS);
+        spin.x += torque.x * spinScale;
+        spin.y += torque.y * spinScale;
+        spin.z += torque.z * spinScale;
+    }
+
+    return -normalSpeed;
+}
+
+function applyRollingResistance(state, speedLoss) {
+    const velocity = state.ballVelocity;
+    const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (horizontalSpeed < 1e-6) return;
+
+    const scale = Math.max(0, horizontalSpeed - speedLoss) / horizontalSpeed;
+    velocity.x *= scale;
+    velocity.z *= scale;
+
+    // Rolling without slipping: ω = (up × v) / r
+    setVec(state.ballAngularVelocity, velocity.z / BALL_RADIUS, state.ballAngularVelocity.y, -velocity.x / BALL_RADIUS);
+}
+
+// =============================================================================
+// DEFENDER
+// =============================================================================
+
+// The defender's body is a vertical capsule from the feet to the raised fingertips
+export const DEFENDER_RADIUS = 0.3;
+export const DEFENDER_REACH = 2.5; // Fingertips above the feet with both arms up
+const DEFENDER_RESTITUTION = 0.35; // Hands soak up most of the ball's speed
+const DEFENDER_FRICTION = 0.4;
+export const DEFENDER_CONTEST_RANGE = 2.5; // No contest from farther away than this
+const DEFENDER_FULL_CONTEST = 0.8; // A hand in the face from this close is the strongest contest
+
+export function createDefender(x = 0, z = 0) {
+    return {
+        position: vec(x, COURT_FLOOR_Y, z), // Feet
+        velocity: vec(),
+        airborne: false
+    };
+}
+
+export function jumpDefender(defender, jumpSpeed) {
+    if (defender.airborne) return;
+    defender.velocity.y = jumpSpeed;
+    defender.airborne = true;
+}
+
+/** Integrates the defender's motion; the caller steers by setting the horizontal velocity. */
+export function stepDefender(defender, world, deltaTime) {
+    const position = defender.position;
+    const velocity = defender.velocity;
+
+    position.x += velocity.x * deltaTime;
+    position.z += velocity.z * deltaTime;
+
+    if (defender.airborne) {
+        velocity.y += world.physics.gravity * deltaTime;
+        position.y += velocity.y * deltaTime;
+        if (position.y <= COURT_FLOOR_Y) {
+            position.y = COURT_FLOOR_Y;
+            velocity.y = 0;
+            defender.airborne = false;
+        }
+    }
+
+    const edgeX = COURT_LENGTH / 2 - DEFENDER_RADIUS;
+    const edgeZ = COURT_WIDTH / 2 - DEFENDER_RADIUS;
+    position.x = Math.max(-edgeX, Math.min(edgeX, position.x));
+    position.z = Math.max(-edgeZ, Math.min(edgeZ, position.z));
+}
+
+/**
+ * Ball against the defender's capsule. The contact is resolved in the defender's frame,
+ * so a rising hand swats the ball harder than a standing one. Returns a 'block' event or null.
+ */
+export function collideDefender(state, defender) {
+    const position = state.ballPosition;
+    const body = defender.position;
+
+    // Closest point on the capsule's core segment to the ball
+    const bottom = body.y + DEFENDER_RADIUS;
+    const top = body.y + DEFENDER_REACH - DEFENDER_RADIUS;
+    const core = vec(body.x, Math.max(bottom, Math.min(top, position.y)), body.z);
+
+    const toBall = vec(position.x - core.x, position.y - core.y, position.z - core.z);
+    const distance = lengthOf(toBall);
+    const contactDistance = DEFENDER_RADIUS + BALL_RADIUS;
+    if (distance >= contactDistance || distance < 1e-6) return null;
+
+    const normal = vec(toBall.x / distance, toBall.y / distance, toBall.z / distance);
+    const penetration = contactDistance - distance;
+    position.x += normal.x * penetration;
+    position.y += normal.y * penetration;
+    position.z += normal.z * penetration;
+
+    const velocity = state.ballVelocity;
+    const bodyVelocity = defender.velocity;
+    setVec(velocity, velocity.x - bodyVelocity.x, velocity.y - bodyVelocity.y, velocity.z - bodyVelocity.z);
+    const impactSpeed = resolveContact(state, normal, DEFENDER_RESTITUTION, DEFENDER_FRICTION);
+    setVec(velocity, velocity.x + bodyVelocity.x, velocity.y + bodyVelocity.y, velocity.z + bodyVelocity.z);
+
+    if (impactSpeed <= CONTACT_IMPACT_SPEED) return null;
+    return {
+        type: 'block',
+        position: vec(core.x + normal.x * DEFENDER_RADIUS, core.y + normal.y * DEFENDER_RADIUS, core.z + normal.z * DEFENDER_RADIUS),
+        impactSpeed
+    };
+}
+
+/** How hard the defender contests a shot from `origin`: 0 (open) to 1 (hand in the face). */
+export function contestFactor(defender, origin) {
+    const distance = Math.sqrt((defender.position.x - origin.x) ** 2 + (defender.position.z - origin.z) ** 2);
+    if (distance >= DEFENDER_CONTEST_RANGE) return 0;
+    return Math.min(1, (DEFENDER_CONTEST_RANGE - distance) / (DEFENDER_CONTEST_RANGE - DEFENDER_FULL_CONTEST));
+}
+
+// =============================================================================
+// HEADLESS SHOT RUNNER
+// =============================================================================
+
+/**
+ * Takes a shot from `origin` ({x, z}) at `power` and steps the ball until it
+ * comes to rest or `maxTime` seconds pass. `shotOptions` are passed to computeShot
+ * (backspin, heading, releaseAngle). Used by tooling, regression scenarios and
+ * the in-game shot predictor.
+ *
+ * `pathInterval` > 0 records a ball position every that many seconds into
+ * `path`; `stopAtFloor` ends the run at the first floor bounce. A `defender`
+ * (from createDefender) is stepped alongside the ball and can block it.
+ */
+export function simulateShot(world, origin, power, shotOptions = {}, runOptions = {}) {
+    const state = createBallState(origin.x, origin.z);
+    const shot = computeShot(world, state.ballPosition, power, shotOptions);
+    launchBall(state, shot.velocity, shot.angularVelocity);
+
+    return shotOutcome(shot, state, runBall(state, world, runOptions));
+}
+
+/** What simulateShot and simulateFinish report for a finished run of `state`. */
+function shotOutcome(shot, state, { events, path, elapsed }) {
+    return {
+        shot,
+        made: events.some(event => event.type === 'score'),
+        blocked: events.some(event => event.type === 'block'),
+        rimHits: events.filter(event => event.type === 'rim').length,
+        backboardHits: events.filter(event => event.type === 'backboard').length,
+        firstContact: events.find(event => event.type === 'rim' || event.type === 'backboard') || null,
+        events,
+        path,
+        elapsed,
+        finalPosition: vec(state.ballPosition.x, state.ballPosition.y, state.ballPosition.z)
+    };
+}
+
+/**
+ * Steps a launched ball until it rests or `maxTime` passes, collecting timed events and the sampled path.
+ * A `slam` ({ time, target }) throws a dunk down on time, as the game's slam timer does.
+ */
+function runBall(state, world, {
+    maxTime = 10,
+    deltaTime = PHYSICS_TIMESTEP,
+    pathInterval = 0,
+    stopAtFloor = false,
+    defender = null,
+    slam = null
+} = {}) {
+    const events = [];
+    const path = [];
+    const recordPath = () => path.push(vec(state.ballPosition.x, state.ballPosition.y, state.ballPosition.z));
+    if (pathInterval > 0) recordPath();
+
+    let elapsed = 0;
+    let nextSample = pathInterval;
+    let running = true;
+    let slammed = false;
+    while (running && state.isShooting && elapsed < maxTime) {
+        if (slam && !slammed && elapsed + deltaTime >= slam.time) {
+            slamDunk(state, slam.target);
+            slammed = true;
+        }
+
+        const stepEvents = stepBall(state, world, deltaTime);
+        if (defender) {
+            stepDefender(defender, world, deltaTime);
+            const block = collideDefender(state, defender);
+            if (block) stepEvents.push(block);
+        }
+        for (const event of stepEvents) {
+            events.push({ ...event, time: elapsed });
+            if (stopAtFloor && event.type === 'floorBounce') running = false;
+        }
+        elapsed += deltaTime;
+
+        if (pathInterval > 0 && (elapsed >= nextSample || !running)) {
+            recordPath();
+            nextSample += pathInterval;
+        }
+    }
+
+    return { events, path, elapsed };
+}
+
+/**
+ * Chance of making a shot from `origin` at `power`, estimated by simulating the
+ * shot at a spread of release powers around it, weighted by a normal distribution
+ * of width `powerSpread`. Returns a value in [0, 1].
+ */
+export function estimateMakeProbability(world, origin, power, shotOptions = {}, { powerSpread = RELEASE_POWER_SPREAD } = {}) {
+    let madeWeight = 0;
+    let totalWeight = 0;
+
+    for (const offset of PROBABILITY_SAMPLE_OFFSETS) {
+        const samplePower = Math.min(MAX_SHOT_POWER, Math.max(MIN_SHOT_POWER, power + offset * powerSpread));
+        const weight = Math.exp(-0.5 * offset * offset);
+        const result = simulateShot(world, origin, samplePower, shotOptions, { maxTime: 6, stopAtFloor: true });
+
+        if (result.made) madeWeight += weight;
+        totalWeight += weight;
+    }
+
+    return madeWeight / totalWeight;
+}
+
+// =============================================================================
+// FINISHES (LAYUPS & DUNKS)
+// =============================================================================
+
+export const FINISH_RANGE = 2.0; // Layups and dunks only from this close to the rim (horizontal)
+export const DUNK_RANGE = 1.2; // Inside this a finish is a dunk, outside it a layup
+const FINISH_MIN_APPROACH = 0.7; // Cosine between the move direction and the rim: roughly within 45°
+const FINISH_MIN_DISTANCE = 0.6; // Closer than this the shooter is under the rim
+const DUNK_CLEARANCE = 0.7; // The ball peaks this far above the rim before the slam...
+const DUNK_REACH = 0.35; // ...and this far in front of its center, clear of the iron on the way up
+const DUNK_SLAM_SPEED = 5.0;
+const LAYUP_GLASS_HEIGHT = 0.4; // Bank point above the rim
+const LAYUP_FLIGHT_TIME = 1.0; // Seconds from the floor to the glass
+const LAYUP_SIDE_SHIFT = 0.15; // Share of the shooter's side offset carried onto the glass
+export const FINISH_IDEAL_POWER = 0.5; // Finishes are laid in with touch, not thrown by distance
+const FINISH_POWER_SENSITIVITY = 0.2; // Launch speed change per unit of power off FINISH_IDEAL_POWER
+
+/**
+ * A layup or dunk for a shot from `origin` while moving along `moveDirection` ({x, z}),
+ * or null when the shooter is not driving at a rim from in front of it inside FINISH_RANGE.
+ */
+export function chooseFinish(world, origin, moveDirection) {
+    const hoopIndex = findNearestHoopIndex(world, origin);
+    const { rim, direction } = world.hoops[hoopIndex];
+
+    const toRimX = rim.x - origin.x;
+    const toRimZ = rim.z - origin.z;
+    const distance = Math.sqrt(toRimX * toRimX + toRimZ * toRimZ);
+    const moveLength = Math.sqrt(moveDirection.x * moveDirection.x + moveDirection.z * moveDirection.z);
+    if (distance > FINISH_RANGE || distance < FINISH_MIN_DISTANCE || moveLength < 1e-6) return null;
+
+    // Under or behind the rim there is no room to go up without hitting iron or glass
+    if (toRimX * direction < RIM_RADIUS) return null;
+
+    const approach = (toRimX * moveDirection.x + toRimZ * moveDirection.z) / (distance * moveLength);
+    if (approach < FINISH_MIN_APPROACH) return null;
+
+    return { type: distance <= DUNK_RANGE ? 'dunk' : 'layup', hoopIndex };
+}
+
+/**
+ * Power and aim error for a finish at `hoopIndex`: power off FINISH_IDEAL_POWER scales the
+ * throw by `errorFactor` (forgiven by `powerErrorScale` like a jump shot's), and a `heading`
+ * off the line to the rim turns it by `aimError` radians. Missing inputs mean a perfect release.
+ */
+function finishError(world, origin, hoopIndex, { power = FINISH_IDEAL_POWER, heading, powerErrorScale = 1.0 }) {
+    const aimError = heading === undefined ? 0 : heading - headingToHoop(world, origin, hoopIndex);
+
+    return {
+        idealPower: FINISH_IDEAL_POWER,
+        errorFactor: 1.0 + (power - FINISH_IDEAL_POWER) * powerErrorScale * FINISH_POWER_SENSITIVITY,
+        aimError: Math.atan2(Math.sin(aimError), Math.cos(aimError))
+    };
+}
+
+/** `v` turned by `angle` radians about the vertical axis (towards +Z for positive angles). */
+function turnHorizontal(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return vec(v.x * cos - v.z * sin, v.y, v.x * sin + v.z * cos);
+}
+
+/**
+ * Dunk: the ball rises to a peak just in front of and above the rim, where slamDunk()
+ * takes over after `slamTime` seconds and throws it down at `slamTarget`. `power`,
+ * `heading` and `powerErrorScale` err like a jump shot's: aim turns the peak and the
+ * target about the shooter, and power carries them long or short of the rim.
+ */
+export function computeDunk(world, origin, hoopIndex, { power, heading, powerErrorScale = 1.0 } = {}) {
+    const rim = world.hoops[hoopIndex].rim;
+    const gravity = -world.physics.gravity;
+    const { idealPower, errorFactor, aimError } = finishError(world, origin, hoopIndex, { power, heading, powerErrorScale });
+
+    const toRimX = rim.x - origin.x;
+    const toRimZ = rim.z - origin.z;
+    const distance = Math.sqrt(toRimX * toRimX + toRimZ * toRimZ);
+    const reach = Math.min(DUNK_REACH, distance) / distance;
+    const missed = point => {
+        const offset = turnHorizontal(vec(point.x - origin.x, 0, point.z - origin.z), aimError);
+        return vec(origin.x + offset.x * errorFactor, point.y, origin.z + offset.z * errorFactor);
+    };
+    const peak = missed(vec(rim.x - toRimX * reach, rim.y + DUNK_CLEARANCE, rim.z - toRimZ * reach));
+
+    const verticalSpeed = Math.sqrt(2 * gravity * (peak.y - origin.y));
+    const slamTime = verticalSpeed / gravity;
+
+    return {
+        type: 'dunk',
+        targetHoopIndex: hoopIndex,
+        isThreePointer: false,
+        idealPower,
+        errorFactor,
+        slamTime,
+        slamTarget: missed(rim),
+        timeToRim: slamTime + Math.hypot(DUNK_REACH, DUNK_CLEARANCE) / DUNK_SLAM_SPEED,
+        velocity: vec((peak.x - origin.x) / slamTime, verticalSpeed, (peak.z - origin.z) / slamTime),
+        angularVelocity: vec()
+    };
+}
+
+/**
+ * simulateShot for a finish picked by chooseFinish(): the layup or dunk is computed from
+ * `finishOptions` (power, heading, powerErrorScale) and a dunk is slammed on time.
+ */
+export function simulateFinish(world, origin, finish, finishOptions = {}, runOptions = {}) {
+    const state = createBallState(origin.x, origin.z);
+    const computeFinish = finish.type === 'dunk' ? computeDunk : computeLayup;
+    const shot = computeFinish(world, state.ballPosition, finish.hoopIndex, finishOptions);
+    launchBall(state, shot.velocity, shot.angularVelocity);
+
+    const slam = shot.slamTarget ? { time: shot.slamTime, target: shot.slamTarget } : null;
+    return shotOutcome(shot, state, runBall(state, world, { ...runOptions, slam }));
+}
+
+/** The slam: throws the ball from wherever it is at `target` (a dunk's `slamTarget`). */
+export function slamDunk(state, target) {
+    const position = state.ballPosition;
+    const toTarget = vec(target.x - position.x, target.y - position.y, target.z - position.z);
+    const distance = lengthOf(toTarget);
+    if (distance < 1e-6) return;
+
+    setVec(state.ballVelocity,
+        (toTarget.x / distance) * DUNK_SLAM_SPEED,
+        (toTarget.y / distance) * DUNK_SLAM_SPEED,
+        (toTarget.z / distance) * DUNK_SLAM_SPEED
+    );
+    setVec(state.ballAngularVelocity, 0, 0, 0);
+}
+
+/**
+ * Layup off the glass: one launch at a bank point just above the rim on the shooter's
+ * side, reached after LAYUP_FLIGHT_TIME. `power`, `heading` and `powerErrorScale` err like
+ * a jump shot's, so a layup can come off the glass short, long or wide and roll out.
+ */
+export function computeLayup(world, origin, hoopIndex, { power, heading, powerErrorScale = 1.0 } = {}) {
+    const { rim, backboard, direction } = world.hoops[hoopIndex];
+    const gravity = -world.physics.gravity;
+    const { idealPower, errorFactor, aimError } = finishError(world, origin, hoopIndex, { power, heading, powerErrorScale });
+
+    const glassX = backboard.x - direction * (BACKBOARD_THICKNESS / 2 + BALL_RADIUS);
+    const glassZ = rim.z + (origin.z - rim.z) * LAYUP_SIDE_SHIFT;
+    const rise = rim.y + LAYUP_GLASS_HEIGHT - origin.y;
+    const planned = turnHorizontal(vec(
+        (glassX - origin.x) / LAYUP_FLIGHT_TIME,
+        rise / LAYUP_FLIGHT_TIME + gravity * LAYUP_FLIGHT_TIME / 2,
+        (glassZ - origin.z) / LAYUP_FLIGHT_TIME
+    ), aimError);
+
+    return {
+        type: 'layup',
+        targetHoopIndex: hoopIndex,
+        isThreePointer: false,
+        idealPower,
+        errorFactor,
+        timeToRim: LAYUP_FLIGHT_TIME,
+        velocity: vec(planned.x * errorFactor, planned.y * errorFactor, planned.z * errorFactor),
+        angularVelocity: vec()
+    };
+}